@@ -0,0 +1,267 @@
+/*
+ * Chat analytics for the analytics panel: message rate over the stream, top
+ * chatters, top emojis, membership events and Super Chat totals.
+ *
+ * Computed from timeline entries (see script.js) and rendered as plain DOM.
+ * Uses the item helpers of script.js (getItemRenderer, parsePurchaseAmount,
+ * formatSpendingTotals, formatTimestamp, setImageSource), which are loaded by
+ * the time this runs, and createElement/setContent of chat-dom.js.
+ */
+
+// Length of one bar of the message rate chart
+const ANALYTICS_BUCKET_MS = 60 * 1000;
+// Entries shown in the top chatters and top emojis lists
+const ANALYTICS_TOP_COUNT = 10;
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+
+/**
+ * Computes the statistics shown in the analytics panel.
+ * @param {Array<Object>} entries - Timeline entries, sorted by offset.
+ * @returns {{
+ *   messageCount: number,
+ *   messagesPerMinute: Array<number>,
+ *   topChatters: Array<{channelId: string, name: string, count: number}>,
+ *   topEmojis: Array<{label: string, imageUrl: string, isCustom: boolean, count: number}>,
+ *   membership: {newMembers: number, milestones: number, giftPurchases: number,
+ *     giftedMemberships: number, redemptions: number},
+ *   paid: {superChats: number, superStickers: number, totals: Map<string, number>}
+ * }} The statistics.
+ */
+function computeChatAnalytics(entries) {
+  const lastOffsetMs = entries.length ? entries[entries.length - 1].offsetMs : 0;
+  const analytics = {
+    messageCount: entries.length,
+    messagesPerMinute: new Array(Math.floor(Math.max(lastOffsetMs, 0) / ANALYTICS_BUCKET_MS) + 1).fill(0),
+    topChatters: [],
+    topEmojis: [],
+    membership: {
+      newMembers: 0,
+      milestones: 0,
+      giftPurchases: 0,
+      giftedMemberships: 0,
+      redemptions: 0,
+    },
+    paid: { superChats: 0, superStickers: 0, totals: new Map() },
+  };
+  const chatters = new Map(); // Channel ID -> { channelId, name, count }
+  const emojis = new Map(); // Emoji ID or shortcut -> { label, imageUrl, isCustom, count }
+
+  entries.forEach((entry) => {
+    const bucket = Math.floor(Math.max(entry.offsetMs, 0) / ANALYTICS_BUCKET_MS);
+    analytics.messagesPerMinute[bucket]++;
+    if (!entry.item) return; // Banners repeat a message that is already counted
+
+    const item = entry.item;
+    const renderer = getItemRenderer(item);
+    const channelId = renderer.authorExternalChannelId || Object.values(item)[0]?.authorExternalChannelId;
+    if (channelId) {
+      const chatter = chatters.get(channelId) || { channelId, name: "", count: 0 };
+      chatter.name = renderer.authorName?.simpleText || chatter.name; // Latest name wins
+      chatter.count++;
+      chatters.set(channelId, chatter);
+    }
+
+    [renderer.message, renderer.headerPrimaryText].forEach((textObject) =>
+      countEmojis(textObject?.runs, emojis)
+    );
+
+    if (item.liveChatMembershipItemRenderer) {
+      // Milestones ("Member for 6 months") have a primary header; new members only a subtext
+      if (renderer.headerPrimaryText) {
+        analytics.membership.milestones++;
+      } else {
+        analytics.membership.newMembers++;
+      }
+    } else if (item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer) {
+      analytics.membership.giftPurchases++;
+      analytics.membership.giftedMemberships += getGiftCount(renderer.primaryText);
+    } else if (item.liveChatSponsorshipsGiftRedemptionAnnouncementRenderer) {
+      analytics.membership.redemptions++;
+    } else if (item.liveChatPaidMessageRenderer || item.liveChatPaidStickerRenderer) {
+      if (item.liveChatPaidMessageRenderer) {
+        analytics.paid.superChats++;
+      } else {
+        analytics.paid.superStickers++;
+      }
+      const purchase = parsePurchaseAmount(renderer.purchaseAmountText?.simpleText);
+      if (purchase) {
+        const totals = analytics.paid.totals;
+        totals.set(purchase.currency, (totals.get(purchase.currency) || 0) + purchase.amount);
+      }
+    }
+  });
+
+  const byCount = (a, b) => b.count - a.count;
+  analytics.topChatters = Array.from(chatters.values()).sort(byCount).slice(0, ANALYTICS_TOP_COUNT);
+  analytics.topEmojis = Array.from(emojis.values()).sort(byCount).slice(0, ANALYTICS_TOP_COUNT);
+  return analytics;
+}
+
+/**
+ * Counts the emojis of message runs.
+ * @param {Array|undefined} runs - Message runs, as passed to processMessageRuns.
+ * @param {Map<string, Object>} emojis - Counts so far, updated in place.
+ */
+function countEmojis(runs, emojis) {
+  (runs || []).forEach((run) => {
+    const emoji = run.emoji;
+    if (!emoji) return;
+    const key = emoji.emojiId || emoji.shortcuts?.[0];
+    if (!key) return;
+    const counted = emojis.get(key) || {
+      label:
+        emoji.shortcuts?.[0] ||
+        emoji.accessibility?.accessibilityData?.label ||
+        key,
+      imageUrl: emoji.image?.thumbnails?.[0]?.url || "",
+      isCustom: Boolean(emoji.isCustomEmoji),
+      count: 0,
+    };
+    counted.count++;
+    emojis.set(key, counted);
+  });
+}
+
+/**
+ * Reads the number of memberships from a gift purchase's text ("Gifted 5 ... memberships").
+ * @param {Object|undefined} primaryText - The header's `primaryText`.
+ * @returns {number} The number of gifted memberships, 1 if the text has no number.
+ */
+function getGiftCount(primaryText) {
+  const text = (primaryText?.runs || []).map((run) => run.text || "").join("");
+  const count = parseInt(text.match(/\d+/)?.[0], 10);
+  return count > 0 ? count : 1;
+}
+
+/**
+ * Renders the statistics into the analytics panel.
+ * @param {ReturnType<typeof computeChatAnalytics>} analytics - The statistics.
+ * @param {HTMLElement} container - The element to render into (its content is replaced).
+ * @param {Object} handlers
+ * @param {function(number): void} handlers.onSeek - Called with a time (ms) to jump to.
+ * @param {function(string): void} handlers.onAuthorSelect - Called with a channel ID.
+ */
+function renderChatAnalytics(analytics, container, { onSeek, onAuthorSelect }) {
+  if (analytics.messageCount === 0) {
+    setContent(container, createElement("p", {}, "No messages to analyze."));
+    return;
+  }
+
+  // --- Message rate ---
+  const perMinute = analytics.messagesPerMinute;
+  const peakMinute = perMinute.indexOf(Math.max(...perMinute));
+  const peakButton = createElement(
+    "button",
+    { className: "analytics-link", attributes: { type: "button" } },
+    `${formatTimestamp(peakMinute * ANALYTICS_BUCKET_MS)} (${perMinute[peakMinute]} messages)`
+  );
+  peakButton.addEventListener("click", () => onSeek(peakMinute * ANALYTICS_BUCKET_MS));
+
+  // --- Top chatters ---
+  const chatterItems = analytics.topChatters.map((chatter) => {
+    const nameButton = createElement(
+      "button",
+      { className: "analytics-link", attributes: { type: "button" } },
+      chatter.name || chatter.channelId
+    );
+    nameButton.addEventListener("click", () => onAuthorSelect(chatter.channelId));
+    return createElement("li", {}, nameButton, ` ${chatter.count}`);
+  });
+
+  // --- Top emojis ---
+  const emojiItems = analytics.topEmojis.map((emoji) => {
+    let img = null;
+    if (emoji.imageUrl) {
+      img = createElement("img", { className: "chat-emoji", attributes: { alt: "" } });
+      setImageSource(img, emoji.imageUrl);
+      img.onerror = () => img.remove();
+    }
+    const label = emoji.isCustom ? `${emoji.label} (channel emote)` : emoji.label;
+    return createElement("li", {}, img, ` ${label} ${emoji.count}`);
+  });
+
+  // --- Memberships and Super Chats ---
+  const { membership, paid } = analytics;
+  const totals = [
+    ["New members", membership.newMembers],
+    ["Membership milestones", membership.milestones],
+    ["Gifted memberships", `${membership.giftedMemberships} (in ${membership.giftPurchases} gift purchases)`],
+    ["Gifts redeemed", membership.redemptions],
+    ["Super Chats", paid.superChats],
+    ["Super Stickers", paid.superStickers],
+    ["Total paid", paid.totals.size ? formatSpendingTotals(paid.totals) : "none"],
+  ].flatMap(([term, value]) => [
+    createElement("dt", {}, term),
+    createElement("dd", {}, String(value)),
+  ]);
+
+  setContent(
+    container,
+    createElement("h3", {}, "Messages per minute"),
+    createMessageRateChart(perMinute, onSeek),
+    createElement("p", {}, "Busiest minute: ", peakButton),
+    createElement(
+      "div",
+      { className: "analytics-columns" },
+      createElement(
+        "section",
+        {},
+        createElement("h3", {}, "Top chatters"),
+        createElement("ol", {}, chatterItems)
+      ),
+      createElement(
+        "section",
+        {},
+        createElement("h3", {}, "Top emojis"),
+        analytics.topEmojis.length === 0 && createElement("p", {}, "No emojis used."),
+        createElement("ol", {}, emojiItems)
+      ),
+      createElement(
+        "section",
+        {},
+        createElement("h3", {}, "Memberships & Super Chats"),
+        // Same term/value grid as the author panel
+        createElement("dl", { className: "author-panel-stats" }, totals)
+      )
+    )
+  );
+}
+
+/**
+ * Builds the messages-per-minute bar chart. Clicking a bar jumps to that minute.
+ * @param {Array<number>} perMinute - Message counts per minute of the stream.
+ * @param {function(number): void} onSeek - Called with the clicked minute's start (ms).
+ * @returns {SVGSVGElement} The chart.
+ */
+function createMessageRateChart(perMinute, onSeek) {
+  const chartHeight = 100;
+  const maxCount = Math.max(...perMinute, 1);
+  const svg = document.createElementNS(SVG_NAMESPACE, "svg");
+  svg.classList.add("message-rate-chart");
+  // One unit per minute; stretched to the panel's width by CSS
+  svg.setAttribute("viewBox", `0 0 ${perMinute.length} ${chartHeight}`);
+  svg.setAttribute("preserveAspectRatio", "none");
+
+  perMinute.forEach((count, minute) => {
+    const barHeight = (count / maxCount) * chartHeight;
+    const bar = document.createElementNS(SVG_NAMESPACE, "rect");
+    bar.setAttribute("x", String(minute));
+    bar.setAttribute("y", String(chartHeight - barHeight));
+    bar.setAttribute("width", "1");
+    bar.setAttribute("height", String(barHeight));
+    const title = document.createElementNS(SVG_NAMESPACE, "title");
+    title.textContent = `${formatTimestamp(minute * ANALYTICS_BUCKET_MS)}: ${count} messages`;
+    bar.appendChild(title);
+    svg.appendChild(bar);
+  });
+
+  // Bars of quiet minutes are too small to hit, so map the click position instead
+  svg.addEventListener("click", (event) => {
+    const bounds = svg.getBoundingClientRect();
+    if (bounds.width === 0) return;
+    const minute = Math.floor(((event.clientX - bounds.left) / bounds.width) * perMinute.length);
+    onSeek(Math.min(Math.max(minute, 0), perMinute.length - 1) * ANALYTICS_BUCKET_MS);
+  });
+  return svg;
+}
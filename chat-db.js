@@ -0,0 +1,212 @@
+/*
+ * Local storage of the replayer in IndexedDB, which (unlike Cache Storage)
+ * also works for pages opened from file://.
+ *
+ * Object stores:
+ *   images     - image files saved for offline use, as { url, blob }, keyed by
+ *                the original (YouTube) URL
+ *   logs       - the chat library: { id, title, source, savedAt, lastOpenedAt,
+ *                messageCount, firstMessageKey, lastMessageKey, batchCount,
+ *                positionMs }, keyed by an auto-increment id
+ *   logBatches - the parsed data of library logs, as { logId, index, batch },
+ *                keyed by [logId, index]; `batch` is a normalized message batch
+ *                (see chat-parser.js), stored in the order it was parsed
+ */
+
+const CHAT_DB_NAME = "youtube-chat-replayer";
+const CHAT_DB_VERSION = 2;
+
+// The open database, shared by all callers; see openChatDatabase()
+let chatDatabasePromise = null;
+
+/**
+ * Opens (and on first use creates or upgrades) the replayer's database.
+ * @returns {Promise<IDBDatabase>} The database.
+ */
+function openChatDatabase() {
+  if (!chatDatabasePromise) {
+    chatDatabasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available in this browser."));
+        return;
+      }
+      const request = indexedDB.open(CHAT_DB_NAME, CHAT_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains("images")) {
+          db.createObjectStore("images", { keyPath: "url" });
+        }
+        if (!db.objectStoreNames.contains("logs")) {
+          db.createObjectStore("logs", { keyPath: "id", autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains("logBatches")) {
+          db.createObjectStore("logBatches", { keyPath: ["logId", "index"] });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again, e.g. after the user allowed storage
+    chatDatabasePromise.catch(() => {
+      chatDatabasePromise = null;
+    });
+  }
+  return chatDatabasePromise;
+}
+
+/**
+ * Runs a transaction over one or more object stores.
+ * @param {string|Array<string>} storeNames - The object stores.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBTransaction): *} work - Issues the requests; its return
+ *   value (e.g. a request, whose `result` is then used) is what the promise resolves to.
+ * @returns {Promise<*>} The result, once the transaction completed.
+ */
+async function runTransaction(storeNames, mode, work) {
+  const db = await openChatDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const outcome = work(transaction);
+    transaction.oncomplete = () =>
+      resolve(outcome instanceof IDBRequest ? outcome.result : outcome);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Runs a single request against an object store and waits for its transaction.
+ * @param {string} storeName - The object store.
+ * @param {IDBTransactionMode} mode - "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest - Creates the request.
+ * @returns {Promise<*>} The request's result, once the transaction completed.
+ */
+function runStoreRequest(storeName, mode, makeRequest) {
+  return runTransaction(storeName, mode, (transaction) =>
+    makeRequest(transaction.objectStore(storeName))
+  );
+}
+
+/**
+ * Lists the URLs of all saved images.
+ * @returns {Promise<Set<string>>} The original URLs.
+ */
+async function getSavedImageUrls() {
+  const urls = await runStoreRequest("images", "readonly", (store) => store.getAllKeys());
+  return new Set(urls);
+}
+
+/**
+ * Gets a saved image.
+ * @param {string} url - The image's original URL.
+ * @returns {Promise<Blob|undefined>} The image file, or undefined if it isn't saved.
+ */
+async function getSavedImage(url) {
+  const record = await runStoreRequest("images", "readonly", (store) => store.get(url));
+  return record?.blob;
+}
+
+/**
+ * Saves an image for offline use, replacing any earlier copy.
+ * @param {string} url - The image's original URL.
+ * @param {Blob} blob - The image file.
+ * @returns {Promise<void>}
+ */
+async function saveImage(url, blob) {
+  await runStoreRequest("images", "readwrite", (store) => store.put({ url, blob }));
+}
+
+/**
+ * Deletes all saved images.
+ * @returns {Promise<void>}
+ */
+async function clearSavedImages() {
+  await runStoreRequest("images", "readwrite", (store) => store.clear());
+}
+
+/**
+ * Lists the logs of the library, most recently opened first.
+ * @returns {Promise<Array<Object>>} The logs' details (without their messages).
+ */
+async function listLibraryLogs() {
+  const logs = await runStoreRequest("logs", "readonly", (store) => store.getAll());
+  return logs.sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+}
+
+/**
+ * Adds a parsed log to the library.
+ * @param {{title: string, source: string, messageCount: number, firstMessageKey: string,
+ *   lastMessageKey: string, positionMs: number}} details
+ * @param {Array<Object>} batches - The normalized message batches, in parsing order.
+ * @returns {Promise<number>} The new log's id.
+ */
+async function addLibraryLog(details, batches) {
+  const now = Date.now();
+  return runTransaction(["logs", "logBatches"], "readwrite", (transaction) => {
+    const log = { ...details, savedAt: now, lastOpenedAt: now, batchCount: batches.length };
+    const addRequest = transaction.objectStore("logs").add(log);
+    addRequest.onsuccess = () => {
+      const batchStore = transaction.objectStore("logBatches");
+      batches.forEach((batch, index) =>
+        batchStore.put({ logId: addRequest.result, index, batch })
+      );
+    };
+    return addRequest;
+  });
+}
+
+/**
+ * Gets a log's details.
+ * @param {number} id - The log's id.
+ * @returns {Promise<Object|undefined>} The details, or undefined if there is no such log.
+ */
+function getLibraryLog(id) {
+  return runStoreRequest("logs", "readonly", (store) => store.get(id));
+}
+
+/**
+ * Gets some of a log's message batches.
+ * @param {number} id - The log's id.
+ * @param {number} startIndex - Index of the first batch.
+ * @param {number} count - How many batches to get at most.
+ * @returns {Promise<Array<Object>>} The batches, in parsing order.
+ */
+async function getLibraryLogBatches(id, startIndex, count) {
+  const range = IDBKeyRange.bound([id, startIndex], [id, startIndex + count - 1]);
+  const records = await runStoreRequest("logBatches", "readonly", (store) =>
+    store.getAll(range)
+  );
+  return records.map((record) => record.batch);
+}
+
+/**
+ * Changes some of a log's details, e.g. its title or playback position.
+ * @param {number} id - The log's id.
+ * @param {Object} changes - The details to change.
+ * @returns {Promise<void>}
+ */
+async function updateLibraryLog(id, changes) {
+  await runTransaction("logs", "readwrite", (transaction) => {
+    const store = transaction.objectStore("logs");
+    const getRequest = store.get(id);
+    getRequest.onsuccess = () => {
+      if (getRequest.result) {
+        store.put({ ...getRequest.result, ...changes });
+      }
+    };
+  });
+}
+
+/**
+ * Deletes a log and its messages from the library.
+ * @param {number} id - The log's id.
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryLog(id) {
+  await runTransaction(["logs", "logBatches"], "readwrite", (transaction) => {
+    transaction.objectStore("logs").delete(id);
+    transaction
+      .objectStore("logBatches")
+      .delete(IDBKeyRange.bound([id, 0], [id, Infinity]));
+  });
+}
@@ -0,0 +1,890 @@
+/*
+ * Transparent decompression of chat sources, used by the parser (chat-parser.js).
+ * Compressed data is recognized by its first bytes, whatever the file is called:
+ *   gzip (.json.gz) - decompressed with the browser's DecompressionStream
+ *   zip (.zip)      - the chat JSON is picked out of the archive (see findZipChatEntry)
+ *                     and inflated with DecompressionStream
+ *   xz (.json.xz)   - decoded here (LZMA2), as browsers have no xz support
+ *
+ * Progress is counted in bytes of the compressed data, so it matches the size
+ * of the file or download.
+ */
+
+const GZIP_SIGNATURE = [0x1f, 0x8b];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const XZ_SIGNATURE = [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00];
+
+/**
+ * Opens the decompressed content of a raw chat source.
+ * @param {{reader: ReadableStreamDefaultReader<Uint8Array>, totalBytes: number, blob?: Blob}} raw -
+ *   The source's bytes, their expected size (NaN if unknown), and for files the
+ *   file itself (zip archives need random access).
+ * @param {function(Object): void} onBufferProgress - Called with `{ receivedBytes,
+ *   totalBytes }` while a downloaded zip archive is buffered before it can be opened.
+ * @returns {Promise<{reader: Object, totalBytes: number, getReceivedBytes: function(): number}>}
+ *   A reader of the decompressed bytes (with `read` and `cancel`), and the
+ *   compressed size and bytes read so far, for progress.
+ */
+async function openDecompressedSource(raw, onBufferProgress) {
+  const input = createCountingReader(raw.reader);
+  const head = await peekBytes(input, XZ_SIGNATURE.length);
+  const open = (reader) => ({
+    reader,
+    totalBytes: raw.totalBytes,
+    getReceivedBytes: () => input.receivedBytes,
+  });
+
+  if (hasSignature(head, GZIP_SIGNATURE)) {
+    return open(decompressWithStream(input, "gzip"));
+  }
+  if (hasSignature(head, XZ_SIGNATURE)) {
+    return open(createXzReader(input));
+  }
+  if (hasSignature(head, ZIP_SIGNATURE)) {
+    const blob = raw.blob || (await readIntoBlob(input, raw.totalBytes, onBufferProgress));
+    const entry = await findZipChatEntry(blob);
+    const entryInput = createCountingReader(
+      blob.slice(entry.dataStart, entry.dataStart + entry.compressedSize).stream().getReader()
+    );
+    return {
+      reader: entry.method === 8 ? decompressWithStream(entryInput, "deflate-raw") : entryInput,
+      totalBytes: entry.compressedSize,
+      getReceivedBytes: () => entryInput.receivedBytes,
+    };
+  }
+  return open(input);
+}
+
+/**
+ * Wraps a stream reader to count the bytes read through it, and to allow
+ * putting back bytes that were only peeked at.
+ * @param {ReadableStreamDefaultReader<Uint8Array>} reader - The reader to wrap.
+ * @returns {{read: function(): Promise<Object>, cancel: function(): Promise<void>,
+ *   unread: function(Uint8Array): void, receivedBytes: number}} The wrapped reader.
+ */
+function createCountingReader(reader) {
+  const putBack = [];
+  const countingReader = {
+    receivedBytes: 0,
+    async read() {
+      if (putBack.length > 0) {
+        return { done: false, value: putBack.shift() };
+      }
+      const result = await reader.read();
+      if (!result.done) countingReader.receivedBytes += result.value.length;
+      return result;
+    },
+    unread(bytes) {
+      putBack.unshift(bytes);
+    },
+    cancel() {
+      return reader.cancel();
+    },
+  };
+  return countingReader;
+}
+
+/**
+ * Reads the first bytes of a stream without consuming them.
+ * @param {Object} input - A reader from createCountingReader.
+ * @param {number} count - How many bytes to look at.
+ * @returns {Promise<Uint8Array>} Up to `count` bytes; fewer if the stream is shorter.
+ */
+async function peekBytes(input, count) {
+  const chunks = [];
+  let length = 0;
+  while (length < count) {
+    const { done, value } = await input.read();
+    if (done) break;
+    chunks.push(value);
+    length += value.length;
+  }
+  const bytes = concatBytes(chunks, length);
+  if (length > 0) input.unread(bytes);
+  return bytes.subarray(0, count);
+}
+
+/**
+ * Whether bytes start with a signature.
+ * @param {Uint8Array} bytes - The first bytes of the data.
+ * @param {Array<number>} signature - The expected bytes.
+ * @returns {boolean}
+ */
+function hasSignature(bytes, signature) {
+  return signature.every((byte, index) => bytes[index] === byte);
+}
+
+/**
+ * Joins byte chunks.
+ * @param {Array<Uint8Array>} chunks - The chunks.
+ * @param {number} length - Their total length.
+ * @returns {Uint8Array} The joined bytes.
+ */
+function concatBytes(chunks, length) {
+  if (chunks.length === 1) return chunks[0];
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+/**
+ * Pipes a reader through the browser's DecompressionStream.
+ * @param {Object} input - A reader from createCountingReader.
+ * @param {string} format - "gzip" or "deflate-raw".
+ * @returns {{read: function(): Promise<Object>, cancel: function(): Promise<void>}}
+ *   A reader of the decompressed bytes.
+ */
+function decompressWithStream(input, format) {
+  if (typeof DecompressionStream === "undefined") {
+    throw withProcessPhase(new Error("This browser can't decompress compressed files"));
+  }
+  let inputEnded = false;
+  const compressed = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = await input.read();
+      if (done) {
+        inputEnded = true;
+        controller.close();
+      } else {
+        controller.enqueue(value);
+      }
+    },
+    cancel() {
+      return input.cancel();
+    },
+  });
+  const reader = compressed.pipeThrough(new DecompressionStream(format)).getReader();
+  return {
+    // The decompressor fails on corrupted data, and on data that stops early
+    read: () =>
+      reader.read().catch((error) => {
+        throw inputEnded ? createTruncatedDataError() : withProcessPhase(error);
+      }),
+    cancel: () => reader.cancel(),
+  };
+}
+
+/**
+ * Reads a whole stream into a Blob, e.g. a downloaded zip archive, whose
+ * directory is at its end.
+ * @param {Object} input - A reader from createCountingReader.
+ * @param {number} totalBytes - The expected size (NaN if unknown), for progress.
+ * @param {function(Object): void} onProgress - Called with `{ receivedBytes, totalBytes }`.
+ * @returns {Promise<Blob>} The data.
+ */
+async function readIntoBlob(input, totalBytes, onProgress) {
+  const chunks = [];
+  while (true) {
+    const { done, value } = await input.read();
+    if (done) break;
+    chunks.push(value);
+    onProgress({ receivedBytes: input.receivedBytes, totalBytes });
+  }
+  return new Blob(chunks);
+}
+
+/**
+ * Marks an error as caused by the data (rather than by reading it), so the
+ * page shows its message; see readChatSource.
+ * @param {Error} error - The error.
+ * @returns {Error} The same error.
+ */
+function withProcessPhase(error) {
+  error.phase = "process";
+  return error;
+}
+
+/**
+ * Creates the error for compressed data that stops before its end, e.g. an
+ * interrupted download. It is marked `truncated`, so the parser keeps what was
+ * decompressed up to there; see readChatSource.
+ * @returns {Error} The error.
+ */
+function createTruncatedDataError() {
+  const error = withProcessPhase(new Error("The compressed data ends unexpectedly"));
+  error.truncated = true;
+  return error;
+}
+
+// --- Zip ---
+
+/**
+ * Finds the chat log in a zip archive: a ".live_chat.json" file if there is one,
+ * otherwise the largest ".json" (or ".jsonl") file.
+ * @param {Blob} blob - The archive.
+ * @returns {Promise<{name: string, method: number, compressedSize: number, dataStart: number}>}
+ *   The entry, with its compression method (0 stored, 8 deflated) and where its data starts.
+ */
+async function findZipChatEntry(blob) {
+  const entries = await readZipDirectory(blob);
+  const files = entries.filter((entry) => !entry.name.endsWith("/"));
+  const bySize = (a, b) => b.uncompressedSize - a.uncompressedSize;
+  const entry =
+    files.filter((file) => /\.live_chat\.json$/i.test(file.name)).sort(bySize)[0] ||
+    files.filter((file) => /\.jsonl?$/i.test(file.name)).sort(bySize)[0];
+  if (!entry) {
+    throw withProcessPhase(new Error("The zip archive contains no chat JSON file"));
+  }
+  if (entry.flags & 0x1) {
+    throw withProcessPhase(new Error(`${entry.name} in the zip archive is encrypted`));
+  }
+  if (entry.method !== 0 && entry.method !== 8) {
+    throw withProcessPhase(
+      new Error(`${entry.name} in the zip archive uses an unsupported compression method (${entry.method})`)
+    );
+  }
+
+  // The data follows the local header, whose name and extra field lengths may
+  // differ from the directory's
+  const localHeader = new DataView(
+    await blob.slice(entry.localHeaderOffset, entry.localHeaderOffset + 30).arrayBuffer()
+  );
+  if (localHeader.byteLength < 30 || localHeader.getUint32(0, true) !== 0x04034b50) {
+    throw withProcessPhase(new Error("The zip archive is corrupted"));
+  }
+  const dataStart =
+    entry.localHeaderOffset + 30 + localHeader.getUint16(26, true) + localHeader.getUint16(28, true);
+  return { ...entry, dataStart };
+}
+
+/**
+ * Reads the central directory of a zip archive (including Zip64 archives).
+ * @param {Blob} blob - The archive.
+ * @returns {Promise<Array<{name: string, flags: number, method: number,
+ *   compressedSize: number, uncompressedSize: number, localHeaderOffset: number}>>} Its entries.
+ */
+async function readZipDirectory(blob) {
+  // The end of central directory record is in the last 22 bytes, plus up to 64 KiB of comment
+  const tailStart = Math.max(0, blob.size - 22 - 0xffff);
+  const tail = new DataView(await blob.slice(tailStart).arrayBuffer());
+  let endOffset = -1;
+  for (let offset = tail.byteLength - 22; offset >= 0; offset--) {
+    if (tail.getUint32(offset, true) === 0x06054b50) {
+      endOffset = offset;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw withProcessPhase(new Error("The zip archive is incomplete or corrupted"));
+  }
+
+  let entryCount = tail.getUint16(endOffset + 10, true);
+  let directorySize = tail.getUint32(endOffset + 12, true);
+  let directoryOffset = tail.getUint32(endOffset + 16, true);
+  // Zip64: the real values are in the Zip64 end record, found through its locator
+  const locatorOffset = endOffset - 20;
+  if (locatorOffset >= 0 && tail.getUint32(locatorOffset, true) === 0x07064b50) {
+    const zip64EndOffset = getUint64(tail, locatorOffset + 8);
+    const zip64End = new DataView(await blob.slice(zip64EndOffset, zip64EndOffset + 56).arrayBuffer());
+    if (zip64End.getUint32(0, true) === 0x06064b50) {
+      entryCount = getUint64(zip64End, 32);
+      directorySize = getUint64(zip64End, 40);
+      directoryOffset = getUint64(zip64End, 48);
+    }
+  }
+
+  const directory = new DataView(
+    await blob.slice(directoryOffset, directoryOffset + directorySize).arrayBuffer()
+  );
+  const nameDecoder = new TextDecoder("utf-8");
+  const entries = [];
+  let offset = 0;
+  for (let index = 0; index < entryCount; index++) {
+    if (offset + 46 > directory.byteLength || directory.getUint32(offset, true) !== 0x02014b50) {
+      throw withProcessPhase(new Error("The zip archive's directory is corrupted"));
+    }
+    const nameLength = directory.getUint16(offset + 28, true);
+    const extraLength = directory.getUint16(offset + 30, true);
+    const commentLength = directory.getUint16(offset + 32, true);
+    const entry = {
+      name: nameDecoder.decode(
+        new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength)
+      ),
+      flags: directory.getUint16(offset + 8, true),
+      method: directory.getUint16(offset + 10, true),
+      compressedSize: directory.getUint32(offset + 20, true),
+      uncompressedSize: directory.getUint32(offset + 24, true),
+      localHeaderOffset: directory.getUint32(offset + 42, true),
+    };
+    readZip64ExtraField(directory, offset + 46 + nameLength, extraLength, entry);
+    entries.push(entry);
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Applies the Zip64 extra field of a directory entry, which holds the sizes and
+ * offset that don't fit in 32 bits (those set to 0xFFFFFFFF in the entry).
+ * @param {DataView} view - The central directory.
+ * @param {number} start - Where the entry's extra fields start.
+ * @param {number} length - Their total length.
+ * @param {Object} entry - The entry, updated in place.
+ */
+function readZip64ExtraField(view, start, length, entry) {
+  let offset = start;
+  while (offset + 4 <= start + length) {
+    const id = view.getUint16(offset, true);
+    const size = view.getUint16(offset + 2, true);
+    if (id === 0x0001) {
+      let valueOffset = offset + 4;
+      ["uncompressedSize", "compressedSize", "localHeaderOffset"].forEach((field) => {
+        if (entry[field] === 0xffffffff && valueOffset + 8 <= offset + 4 + size) {
+          entry[field] = getUint64(view, valueOffset);
+          valueOffset += 8;
+        }
+      });
+      return;
+    }
+    offset += 4 + size;
+  }
+}
+
+/**
+ * Reads a little-endian 64-bit unsigned integer (exact up to 2^53).
+ * @param {DataView} view - The data.
+ * @param {number} offset - Where the integer starts.
+ * @returns {number} The integer.
+ */
+function getUint64(view, offset) {
+  return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 2 ** 32;
+}
+
+// --- Xz ---
+// Format: https://tukaani.org/xz/xz-file-format.txt. Only the LZMA2 filter is
+// supported, which is what xz uses unless told otherwise. Checks (CRC32 etc.)
+// are skipped rather than verified; corrupted data still fails to decode.
+
+/** Sizes of the xz check field, by check type. */
+const XZ_CHECK_SIZES = [0, 4, 4, 4, 8, 8, 8, 16, 16, 16, 32, 32, 32, 64, 64, 64];
+// Largest LZMA2 dictionary that is allocated, that of `xz -9` (the header may
+// ask for up to 4 GiB)
+const XZ_MAX_DICTIONARY_SIZE = 64 * 1024 * 1024;
+
+/**
+ * Creates a reader of the decompressed content of an xz stream.
+ * @param {Object} input - A reader from createCountingReader.
+ * @returns {{read: function(): Promise<Object>, cancel: function(): Promise<void>}} The reader.
+ */
+function createXzReader(input) {
+  const output = decodeXz(createByteQueue(input));
+  return {
+    async read() {
+      const { done, value } = await output.next();
+      return done ? { done: true } : { done: false, value };
+    },
+    cancel() {
+      output.return();
+      return input.cancel();
+    },
+  };
+}
+
+/**
+ * Wraps a reader to read exact numbers of bytes from it, across chunks.
+ * @param {Object} input - A reader from createCountingReader.
+ * @returns {{readBytes: function(number): Promise<Uint8Array>,
+ *   readByte: function(): Promise<number>, isAtEnd: function(): Promise<boolean>,
+ *   bytesRead: number}} The queue.
+ */
+function createByteQueue(input) {
+  let chunk = new Uint8Array(0);
+  let chunkOffset = 0;
+  const queue = {
+    bytesRead: 0,
+    async readBytes(count) {
+      // Most reads fit in the current chunk
+      if (chunkOffset + count <= chunk.length) {
+        chunkOffset += count;
+        queue.bytesRead += count;
+        return chunk.subarray(chunkOffset - count, chunkOffset);
+      }
+      const bytes = new Uint8Array(count);
+      let filled = 0;
+      while (filled < count) {
+        if (chunkOffset >= chunk.length) {
+          const { done, value } = await input.read();
+          if (done) throw createTruncatedDataError();
+          chunk = value;
+          chunkOffset = 0;
+          continue;
+        }
+        const length = Math.min(count - filled, chunk.length - chunkOffset);
+        bytes.set(chunk.subarray(chunkOffset, chunkOffset + length), filled);
+        filled += length;
+        chunkOffset += length;
+      }
+      queue.bytesRead += count;
+      return bytes;
+    },
+    async readByte() {
+      return (await queue.readBytes(1))[0];
+    },
+    async isAtEnd() {
+      while (chunkOffset >= chunk.length) {
+        const { done, value } = await input.read();
+        if (done) return true;
+        chunk = value;
+        chunkOffset = 0;
+      }
+      return false;
+    },
+  };
+  return queue;
+}
+
+/**
+ * Decodes an xz file (one or more concatenated streams).
+ * @param {Object} queue - The compressed bytes, see createByteQueue.
+ * @yields {Uint8Array} The decompressed bytes, piece by piece.
+ */
+async function* decodeXz(queue) {
+  let header = await queue.readBytes(12);
+  while (header) {
+    yield* decodeXzStream(queue, header);
+    // Streams may be followed by zero padding and further streams
+    header = null;
+    while (!(await queue.isAtEnd())) {
+      const word = await queue.readBytes(4);
+      if (word.some((byte) => byte !== 0)) {
+        header = concatBytes([word, await queue.readBytes(8)], 12);
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Decodes one xz stream: its blocks, then skips its index and footer.
+ * @param {Object} queue - The compressed bytes, see createByteQueue.
+ * @param {Uint8Array} header - The stream header, already read.
+ * @yields {Uint8Array} The decompressed bytes, piece by piece.
+ */
+async function* decodeXzStream(queue, header) {
+  if (!hasSignature(header, XZ_SIGNATURE)) throw createXzError();
+  const checkSize = XZ_CHECK_SIZES[header[7] & 0x0f];
+
+  // --- Blocks, until the index (marked by a header size of 0) ---
+  while (true) {
+    const blockStart = queue.bytesRead;
+    const headerSizeByte = await queue.readByte();
+    if (headerSizeByte === 0) break;
+    const blockHeader = await queue.readBytes(headerSizeByte * 4 + 3);
+    const dictionarySize = readXzBlockHeader(blockHeader);
+    yield* decodeLzma2(queue, dictionarySize);
+    // Block padding to a multiple of four bytes, then the check
+    await queue.readBytes(((4 - ((queue.bytesRead - blockStart) % 4)) % 4) + checkSize);
+  }
+
+  // --- Index (a record per block, padding and CRC32), then the stream footer ---
+  const indexStart = queue.bytesRead - 1;
+  const recordCount = await readXzVarint(queue);
+  for (let index = 0; index < recordCount * 2; index++) {
+    await readXzVarint(queue);
+  }
+  await queue.readBytes(((4 - ((queue.bytesRead - indexStart) % 4)) % 4) + 4);
+  await queue.readBytes(12);
+}
+
+/**
+ * Reads an xz block header (after its size byte).
+ * @param {Uint8Array} blockHeader - The header.
+ * @returns {number} The LZMA2 dictionary size in bytes, at most the block's
+ *   uncompressed size if the header tells it (no match reaches back further).
+ */
+function readXzBlockHeader(blockHeader) {
+  const flags = blockHeader[0];
+  const position = { offset: 1 };
+  if (flags & 0x40) readXzVarintFromBytes(blockHeader, position); // Compressed size
+  const uncompressedSize = flags & 0x80 ? readXzVarintFromBytes(blockHeader, position) : Infinity;
+  const filterId = readXzVarintFromBytes(blockHeader, position);
+  const propertiesSize = readXzVarintFromBytes(blockHeader, position);
+  if ((flags & 0x03) !== 0 || filterId !== 0x21 || propertiesSize !== 1) {
+    throw withProcessPhase(
+      new Error("The xz file uses filters other than LZMA2 (e.g. BCJ), which aren't supported")
+    );
+  }
+  const dictionaryBits = blockHeader[position.offset];
+  if (dictionaryBits > 40) throw createXzError();
+  const headerDictionarySize =
+    dictionaryBits === 40
+      ? 0xffffffff
+      : (2 | (dictionaryBits & 1)) * 2 ** ((dictionaryBits >>> 1) + 11);
+  const dictionarySize = Math.min(headerDictionarySize, uncompressedSize);
+  if (dictionarySize > XZ_MAX_DICTIONARY_SIZE) {
+    const sizeMiB = Math.ceil(dictionarySize / 2 ** 20);
+    throw withProcessPhase(
+      new Error(
+        `The xz file needs a ${sizeMiB} MiB dictionary, more than the supported ` +
+          `${XZ_MAX_DICTIONARY_SIZE / 2 ** 20} MiB (that of xz -9)`
+      )
+    );
+  }
+  return dictionarySize;
+}
+
+/**
+ * Reads a variable-length xz integer from the compressed data.
+ * @param {Object} queue - The compressed bytes, see createByteQueue.
+ * @returns {Promise<number>} The integer.
+ */
+async function readXzVarint(queue) {
+  let value = 0;
+  for (let shift = 0; shift < 63; shift += 7) {
+    const byte = await queue.readByte();
+    value += (byte & 0x7f) * 2 ** shift;
+    if (!(byte & 0x80)) return value;
+  }
+  throw createXzError();
+}
+
+/**
+ * Reads a variable-length xz integer from a header.
+ * @param {Uint8Array} bytes - The header.
+ * @param {{offset: number}} position - Where the integer starts; moved past it.
+ * @returns {number} The integer.
+ */
+function readXzVarintFromBytes(bytes, position) {
+  let value = 0;
+  for (let shift = 0; shift < 63 && position.offset < bytes.length; shift += 7) {
+    const byte = bytes[position.offset++];
+    value += (byte & 0x7f) * 2 ** shift;
+    if (!(byte & 0x80)) return value;
+  }
+  throw createXzError();
+}
+
+/**
+ * Creates the error thrown for malformed xz data.
+ * @returns {Error} The error.
+ */
+function createXzError() {
+  return withProcessPhase(new Error("The xz data is corrupted"));
+}
+
+/**
+ * Decodes the LZMA2 data of an xz block, chunk by chunk. Compressed chunks
+ * are at most 64 KiB, so each is read whole and then decoded.
+ * @param {Object} queue - The compressed bytes, see createByteQueue.
+ * @param {number} dictionarySize - The block's dictionary size.
+ * @yields {Uint8Array} The decompressed bytes, piece by piece.
+ */
+async function* decodeLzma2(queue, dictionarySize) {
+  const decoder = createLzmaDecoder(dictionarySize);
+  let needsDictionaryReset = true;
+  let needsProperties = true;
+
+  while (true) {
+    const control = await queue.readByte();
+    if (control === 0x00) return; // End of the block's data
+
+    if (control === 0x01 || control === 0x02) {
+      // Uncompressed chunk, 0x01 with a dictionary reset
+      if (control === 0x01) {
+        decoder.resetDictionary();
+        needsDictionaryReset = false;
+      } else if (needsDictionaryReset) {
+        throw createXzError();
+      }
+      const sizeBytes = await queue.readBytes(2);
+      const size = ((sizeBytes[0] << 8) | sizeBytes[1]) + 1;
+      yield* decoder.copyUncompressed(await queue.readBytes(size));
+      continue;
+    }
+    if (control < 0x80) throw createXzError();
+
+    // LZMA chunk; bits 5-6 tell what to reset before it
+    const sizeBytes = await queue.readBytes(4);
+    const uncompressedSize = (control & 0x1f) * 0x10000 + ((sizeBytes[0] << 8) | sizeBytes[1]) + 1;
+    const compressedSize = ((sizeBytes[2] << 8) | sizeBytes[3]) + 1;
+    const reset = (control >>> 5) & 0x03;
+    if (reset === 3) {
+      decoder.resetDictionary();
+      needsDictionaryReset = false;
+    } else if (needsDictionaryReset) {
+      throw createXzError();
+    }
+    if (reset >= 2) {
+      decoder.setProperties(await queue.readByte());
+      needsProperties = false;
+    } else if (needsProperties) {
+      throw createXzError();
+    }
+    if (reset >= 1) decoder.resetState();
+    yield* decoder.decodeChunk(await queue.readBytes(compressedSize), uncompressedSize);
+  }
+}
+
+// Offsets of the LZMA probability groups in the decoder's `probabilities`
+const LZMA_IS_MATCH = 0; // 12 states x 16 position states
+const LZMA_IS_REP = 192;
+const LZMA_IS_REP_G0 = 204;
+const LZMA_IS_REP_G1 = 216;
+const LZMA_IS_REP_G2 = 228;
+const LZMA_IS_REP0_LONG = 240; // 12 x 16
+const LZMA_POS_SLOT = 432; // 4 length states x 64
+const LZMA_SPEC_POS = 688; // 115
+const LZMA_ALIGN = 803; // 16
+const LZMA_LENGTH = 819; // choice, choice2, 16 x 8 low, 16 x 8 mid, 256 high
+const LZMA_REP_LENGTH = 1333;
+const LZMA_PROBABILITY_COUNT = 1847;
+
+/**
+ * Creates an LZMA decoder for the chunks of an LZMA2 stream, keeping the
+ * dictionary (the last `dictionarySize` bytes of output) between chunks.
+ * @param {number} dictionarySize - The dictionary size in bytes.
+ * @returns {Object} The decoder: `resetDictionary`, `resetState`,
+ *   `setProperties(byte)`, and `decodeChunk(bytes, size)` and
+ *   `copyUncompressed(bytes)`, which return the output as an array of pieces.
+ */
+function createLzmaDecoder(dictionarySize) {
+  const dictionary = new Uint8Array(Math.max(dictionarySize, 4096));
+  const dictionaryEnd = dictionary.length;
+  let dictionaryPos = 0; // Next write position; the dictionary is circular
+  let dictionaryFull = 0; // Bytes of history available
+  let totalPos = 0; // Bytes since the dictionary reset, for position states
+  let flushPos = 0; // Start of the bytes not output yet
+  let output = [];
+
+  const probabilities = new Uint16Array(LZMA_PROBABILITY_COUNT);
+  let literalProbabilities = new Uint16Array(0x300);
+  let lc = 0;
+  let lp = 0;
+  let pb = 0;
+  let state = 0;
+  let rep0 = 0;
+  let rep1 = 0;
+  let rep2 = 0;
+  let rep3 = 0;
+  let pendingLength = 0; // Rest of a match cut off by the end of a chunk
+
+  // Range decoder
+  let input = null;
+  let inputPos = 0;
+  let range = 0;
+  let code = 0;
+
+  const putByte = (byte) => {
+    dictionary[dictionaryPos++] = byte;
+    totalPos++;
+    if (dictionaryFull < dictionaryEnd) dictionaryFull++;
+    if (dictionaryPos === dictionaryEnd) {
+      output.push(dictionary.slice(flushPos, dictionaryEnd));
+      dictionaryPos = 0;
+      flushPos = 0;
+    }
+  };
+  const getByte = (distance) => {
+    const index = dictionaryPos - distance;
+    return dictionary[index < 0 ? index + dictionaryEnd : index];
+  };
+  const takeOutput = () => {
+    if (dictionaryPos > flushPos) {
+      output.push(dictionary.slice(flushPos, dictionaryPos));
+      flushPos = dictionaryPos;
+    }
+    const pieces = output;
+    output = [];
+    return pieces;
+  };
+
+  const normalize = () => {
+    if (range < 0x1000000) {
+      if (inputPos >= input.length) throw createXzError();
+      range *= 256;
+      code = code * 256 + input[inputPos++];
+    }
+  };
+  const decodeBit = (probs, index) => {
+    const probability = probs[index];
+    const bound = (range >>> 11) * probability;
+    let bit;
+    if (code < bound) {
+      range = bound;
+      probs[index] = probability + ((2048 - probability) >>> 5);
+      bit = 0;
+    } else {
+      range -= bound;
+      code -= bound;
+      probs[index] = probability - (probability >>> 5);
+      bit = 1;
+    }
+    normalize();
+    return bit;
+  };
+  const decodeDirectBits = (count) => {
+    let result = 0;
+    for (let index = 0; index < count; index++) {
+      range = range >>> 1;
+      let bit = 0;
+      if (code >= range) {
+        code -= range;
+        bit = 1;
+      }
+      result = result * 2 + bit;
+      normalize();
+    }
+    return result;
+  };
+  const decodeTree = (probs, offset, bitCount) => {
+    let m = 1;
+    for (let index = 0; index < bitCount; index++) {
+      m = (m << 1) | decodeBit(probs, offset + m);
+    }
+    return m - (1 << bitCount);
+  };
+  const decodeReverseTree = (probs, offset, bitCount) => {
+    let m = 1;
+    let symbol = 0;
+    for (let index = 0; index < bitCount; index++) {
+      const bit = decodeBit(probs, offset + m);
+      m = (m << 1) | bit;
+      symbol |= bit << index;
+    }
+    return symbol;
+  };
+  const decodeLength = (offset, posState) => {
+    if (!decodeBit(probabilities, offset)) {
+      return decodeTree(probabilities, offset + 2 + posState * 8, 3);
+    }
+    if (!decodeBit(probabilities, offset + 1)) {
+      return 8 + decodeTree(probabilities, offset + 130 + posState * 8, 3);
+    }
+    return 16 + decodeTree(probabilities, offset + 258, 8);
+  };
+  const decodeDistance = (length) => {
+    const lengthState = length < 3 ? length : 3;
+    const posSlot = decodeTree(probabilities, LZMA_POS_SLOT + lengthState * 64, 6);
+    if (posSlot < 4) return posSlot;
+    const directBitCount = (posSlot >>> 1) - 1;
+    const distance = (2 | (posSlot & 1)) * 2 ** directBitCount;
+    if (posSlot < 14) {
+      return distance + decodeReverseTree(probabilities, LZMA_SPEC_POS + distance - posSlot, directBitCount);
+    }
+    return (
+      distance +
+      decodeDirectBits(directBitCount - 4) * 16 +
+      decodeReverseTree(probabilities, LZMA_ALIGN, 4)
+    );
+  };
+  const decodeLiteral = () => {
+    const previousByte = dictionaryFull > 0 ? getByte(1) : 0;
+    const literalState = ((totalPos & ((1 << lp) - 1)) << lc) + (previousByte >>> (8 - lc));
+    const base = 0x300 * literalState;
+    let symbol = 1;
+    if (state >= 7) {
+      // After a match, the byte at rep0 predicts the literal's bits
+      let matchByte = getByte(rep0 + 1);
+      do {
+        const matchBit = (matchByte >>> 7) & 1;
+        matchByte <<= 1;
+        const bit = decodeBit(literalProbabilities, base + ((1 + matchBit) << 8) + symbol);
+        symbol = (symbol << 1) | bit;
+        if (matchBit !== bit) break;
+      } while (symbol < 0x100);
+    }
+    while (symbol < 0x100) {
+      symbol = (symbol << 1) | decodeBit(literalProbabilities, base + symbol);
+    }
+    putByte(symbol - 0x100);
+  };
+
+  return {
+    resetDictionary() {
+      dictionaryFull = 0;
+      totalPos = 0;
+    },
+    resetState() {
+      probabilities.fill(1024);
+      literalProbabilities.fill(1024);
+      state = 0;
+      rep0 = rep1 = rep2 = rep3 = 0;
+      pendingLength = 0;
+    },
+    setProperties(byte) {
+      if (byte >= 9 * 5 * 5) throw createXzError();
+      lc = byte % 9;
+      lp = Math.floor(byte / 9) % 5;
+      pb = Math.floor(byte / 45);
+      if (lc + lp > 4) throw createXzError();
+      literalProbabilities = new Uint16Array(0x300 << (lc + lp));
+    },
+    copyUncompressed(bytes) {
+      bytes.forEach(putByte);
+      return takeOutput();
+    },
+    decodeChunk(bytes, uncompressedSize) {
+      if (bytes.length < 5 || bytes[0] !== 0) throw createXzError();
+      input = bytes;
+      inputPos = 5;
+      range = 0xffffffff;
+      code = ((bytes[1] << 24) | (bytes[2] << 16) | (bytes[3] << 8) | bytes[4]) >>> 0;
+
+      const end = totalPos + uncompressedSize;
+      const posMask = (1 << pb) - 1;
+      for (; pendingLength > 0 && totalPos < end; pendingLength--) {
+        putByte(getByte(rep0 + 1));
+      }
+      while (totalPos < end) {
+        const posState = totalPos & posMask;
+        const stateIndex = (state << 4) + posState;
+        if (!decodeBit(probabilities, LZMA_IS_MATCH + stateIndex)) {
+          decodeLiteral();
+          state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+          continue;
+        }
+
+        let length;
+        if (!decodeBit(probabilities, LZMA_IS_REP + state)) {
+          // A match with a new distance
+          length = decodeLength(LZMA_LENGTH, posState);
+          state = state < 7 ? 7 : 10;
+          const distance = decodeDistance(length);
+          if (distance === 0xffffffff) throw createXzError(); // End markers aren't allowed in LZMA2
+          rep3 = rep2;
+          rep2 = rep1;
+          rep1 = rep0;
+          rep0 = distance;
+        } else {
+          // A match repeating one of the last four distances
+          if (dictionaryFull === 0) throw createXzError();
+          if (!decodeBit(probabilities, LZMA_IS_REP_G0 + state)) {
+            if (!decodeBit(probabilities, LZMA_IS_REP0_LONG + stateIndex)) {
+              state = state < 7 ? 9 : 11;
+              putByte(getByte(rep0 + 1));
+              continue;
+            }
+          } else {
+            let distance;
+            if (!decodeBit(probabilities, LZMA_IS_REP_G1 + state)) {
+              distance = rep1;
+            } else {
+              if (!decodeBit(probabilities, LZMA_IS_REP_G2 + state)) {
+                distance = rep2;
+              } else {
+                distance = rep3;
+                rep3 = rep2;
+              }
+              rep2 = rep1;
+            }
+            rep1 = rep0;
+            rep0 = distance;
+          }
+          length = decodeLength(LZMA_REP_LENGTH, posState);
+          state = state < 7 ? 8 : 11;
+        }
+
+        if (rep0 >= dictionaryFull) throw createXzError();
+        for (length += 2; length > 0 && totalPos < end; length--) {
+          putByte(getByte(rep0 + 1));
+        }
+        pendingLength = length;
+      }
+      return takeOutput();
+    },
+  };
+}
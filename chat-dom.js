@@ -0,0 +1,65 @@
+/*
+ * Building page content without markup strings. Text from chat files, URLs,
+ * servers and error messages ends up in the page as text nodes and attribute
+ * values only, so it can't inject elements or scripts. Status messages and
+ * other rich content go through createElement/setContent; the few places that
+ * do produce HTML as text (the HTML export) escape it with escapeHtml.
+ *
+ * index.html's Content-Security-Policy relies on this: the page has no inline
+ * scripts, event handler attributes or style attributes (styles set from
+ * scripts through element.style are fine).
+ */
+
+/**
+ * Creates an element.
+ * @param {string} tagName - The element's tag name.
+ * @param {Object} [options]
+ * @param {string} [options.className] - Its classes, space-separated.
+ * @param {Object<string, string>} [options.attributes] - Attributes to set.
+ * @param {...(Node|string|null|undefined|false)} children - Its content; strings
+ *   are added as text, empty values are left out.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, { className = "", attributes = {} } = {}, ...children) {
+  const element = document.createElement(tagName);
+  if (className) element.className = className;
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  element.append(...toContentNodes(children));
+  return element;
+}
+
+/**
+ * Replaces an element's content.
+ * @param {HTMLElement} container - The element.
+ * @param {...(Node|string|null|undefined|false)} children - The new content, as
+ *   for createElement.
+ */
+function setContent(container, ...children) {
+  container.replaceChildren(...toContentNodes(children));
+}
+
+/**
+ * Turns content parts into nodes.
+ * @param {Array<Node|string|null|undefined|false>} children - The parts.
+ * @returns {Array<Node>} The nodes, strings as text nodes.
+ */
+function toContentNodes(children) {
+  return children
+    .flat()
+    .filter((child) => child || child === 0)
+    .map((child) => (child instanceof Node ? child : document.createTextNode(String(child))));
+}
+
+/**
+ * Escapes text for use in HTML built as a string, in element content or a
+ * double-quoted attribute value.
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
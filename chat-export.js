@@ -0,0 +1,372 @@
+/*
+ * Chat export: turns timeline entries (see script.js) into downloadable files,
+ * as spreadsheets (CSV/TSV), readable text, a self-contained HTML page, or
+ * subtitles (SRT/WebVTT/ASS) timed by each message's video offset.
+ *
+ * Uses the item helpers of script.js (getItemRenderer, getEntryType,
+ * formatTimestamp, argbToCssColor), which are loaded by the time this runs, and
+ * escapeHtml of chat-dom.js.
+ */
+
+/**
+ * Export formats: file extension, MIME type and the function building the file.
+ */
+const EXPORT_FORMATS = {
+  csv: { extension: "csv", mimeType: "text/csv", build: (records) => buildDelimitedExport(records, ",") },
+  tsv: { extension: "tsv", mimeType: "text/tab-separated-values", build: (records) => buildDelimitedExport(records, "\t") },
+  txt: { extension: "txt", mimeType: "text/plain", build: buildTextExport },
+  html: { extension: "html", mimeType: "text/html", build: buildHtmlExport },
+  srt: { extension: "srt", mimeType: "application/x-subrip", build: buildSrtExport },
+  vtt: { extension: "vtt", mimeType: "text/vtt", build: buildVttExport },
+  ass: { extension: "ass", mimeType: "text/x-ssa", build: buildAssExport },
+};
+
+// How long a message stays on screen in subtitle exports
+const SUBTITLE_LIFETIME_MS = 8000;
+// Most messages shown at once in subtitle exports
+const SUBTITLE_MAX_LINES = 5;
+
+/**
+ * Builds an export file of timeline entries.
+ * @param {Array<Object>} entries - Timeline entries, sorted by offset.
+ * @param {string} format - A key of EXPORT_FORMATS.
+ * @returns {Blob} The file contents.
+ */
+function buildChatExport(entries, format) {
+  const { mimeType, build } = EXPORT_FORMATS[format];
+  const records = entries.map(getExportRecord);
+  return new Blob([build(records)], { type: `${mimeType};charset=utf-8` });
+}
+
+/**
+ * Flattens a timeline entry into the fields every export format is built from.
+ * @param {Object} entry - A chatTimeline entry.
+ * @returns {{offsetMs: number, time: string, type: string, author: string,
+ *   channelId: string, text: string, amount: string, deleted: boolean,
+ *   colors: {header: string|null, body: string|null}}} The record.
+ */
+function getExportRecord(entry) {
+  const item = entry.banner ? entry.banner.contents : entry.item;
+  const renderer = getItemRenderer(item);
+  let text;
+  if (entry.banner) {
+    const header = entry.banner.header?.liveChatBannerHeaderRenderer;
+    text = [getPlainText(header?.text), getPlainText(renderer.message)]
+      .filter(Boolean)
+      .join(": ");
+  } else if (item.liveChatPaidStickerRenderer) {
+    text = `[${renderer.sticker?.accessibility?.accessibilityData?.label || "Super Sticker"}]`;
+  } else {
+    text = [
+      renderer.headerPrimaryText,
+      renderer.headerSubtext,
+      renderer.primaryText,
+      renderer.message,
+      renderer.text,
+      renderer.subtext,
+    ]
+      .map(getPlainText)
+      .filter(Boolean)
+      .join(" ");
+  }
+
+  return {
+    offsetMs: entry.offsetMs,
+    time: formatTimestamp(entry.offsetMs),
+    type: getEntryType(entry),
+    author: renderer.authorName?.simpleText || "",
+    channelId:
+      renderer.authorExternalChannelId ||
+      Object.values(item || {})[0]?.authorExternalChannelId ||
+      "",
+    text,
+    amount: renderer.purchaseAmountText?.simpleText || "",
+    deleted: Boolean(entry.deletedState),
+    colors: {
+      header: argbToCssColor(renderer.headerBackgroundColor ?? renderer.moneyChipBackgroundColor),
+      body: argbToCssColor(renderer.bodyBackgroundColor ?? renderer.backgroundColor),
+    },
+  };
+}
+
+/**
+ * Gets the plain text of a YouTube text object. Standard emojis become the
+ * emoji character itself, channel emotes their shortcut (e.g. ":partyparrot:").
+ * @param {Object|undefined} textObject - E.g. a renderer's `message`.
+ * @returns {string} The text, or an empty string.
+ */
+function getPlainText(textObject) {
+  if (!textObject) return "";
+  if (textObject.simpleText) return textObject.simpleText;
+  return (textObject.runs || [])
+    .map((run) => {
+      if (run.text) return run.text;
+      const emoji = run.emoji;
+      if (!emoji) return "";
+      // Standard emojis use the character as their ID
+      if (!emoji.isCustomEmoji && emoji.emojiId) return emoji.emojiId;
+      return emoji.shortcuts?.[0] || emoji.accessibility?.accessibilityData?.label || "";
+    })
+    .join("");
+}
+
+/**
+ * Formats the author, amount and text of a record on one line.
+ * @param {Object} record - An export record.
+ * @returns {string} E.g. "Alice ($5.00): Hello".
+ */
+function formatRecordLine(record) {
+  const author = record.author || "[system]";
+  const amount = record.amount ? ` (${record.amount})` : "";
+  const deleted = record.deleted ? " [deleted]" : "";
+  return `${author}${amount}: ${record.text}${deleted}`;
+}
+
+/**
+ * Builds a CSV or TSV export, one row per message.
+ * @param {Array<Object>} records - Export records.
+ * @param {string} delimiter - "," for CSV, "\t" for TSV.
+ * @returns {string} The file contents.
+ */
+function buildDelimitedExport(records, delimiter) {
+  const escapeField = (value) => {
+    let text = String(value);
+    // Spreadsheets run text starting with these as a formula (e.g. a chat
+    // message "=HYPERLINK(...)"), so it is kept as text; numbers are left alone
+    if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    if (delimiter === "\t") {
+      // TSV has no quoting; tabs and line breaks would break the columns
+      return text.replace(/[\t\r\n]+/g, " ");
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const header = ["time", "offset_ms", "type", "author", "channel_id", "message", "amount", "deleted"];
+  const rows = records.map((record) => [
+    record.time,
+    record.offsetMs,
+    record.type,
+    record.author,
+    record.channelId,
+    record.text,
+    record.amount,
+    record.deleted ? "yes" : "no",
+  ]);
+  return [header, ...rows]
+    .map((row) => row.map(escapeField).join(delimiter))
+    .join("\r\n") + "\r\n";
+}
+
+/**
+ * Builds a readable plain text export, e.g. "[1:23:45] Alice: Hello".
+ * @param {Array<Object>} records - Export records.
+ * @returns {string} The file contents.
+ */
+function buildTextExport(records) {
+  // One line per message, so multi-line messages are joined up
+  return records
+    .map((record) => `[${record.time}] ${formatRecordLine(record).replace(/\s*\n\s*/g, " ")}\n`)
+    .join("");
+}
+
+/**
+ * Builds a self-contained HTML page of the messages. It loads nothing from
+ * elsewhere (no images or stylesheets), so it keeps working offline.
+ * @param {Array<Object>} records - Export records.
+ * @returns {string} The file contents.
+ */
+function buildHtmlExport(records) {
+  const messages = records.map((record) => {
+    const classes = ["message", record.type, record.deleted ? "deleted" : ""].filter(Boolean);
+    const style = record.colors.body
+      ? ` style="${escapeHtml(`background-color: ${record.colors.body}; border-left-color: ${record.colors.header || record.colors.body}`)}"`
+      : "";
+    const author = record.author ? `<b>${escapeHtml(record.author)}</b> ` : "";
+    const amount = record.amount ? `<span class="amount">${escapeHtml(record.amount)}</span> ` : "";
+    return (
+      `<div class="${classes.join(" ")}"${style}>` +
+      `<span class="time">${escapeHtml(record.time)}</span> ${author}${amount}` +
+      `<span class="text">${escapeHtml(record.text)}</span></div>`
+    );
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>YouTube Chat Replay Export</title>
+<style>
+body { font-family: "Noto Sans", sans-serif; margin: 20px; line-height: 1.4; }
+.message { padding: 4px 8px; border-bottom: 1px solid #eee; border-left: 3px solid transparent; white-space: pre-wrap; overflow-wrap: break-word; }
+.time { color: #666; font-size: 0.8em; }
+.amount { font-weight: bold; }
+.membership, .gift { background-color: hsl(195, 53%, 95%); border-left-color: hsl(195, 90%, 40%); }
+.system, .banner { background-color: #f7f7f7; border-left-color: #999; color: #444; }
+.deleted .text { text-decoration: line-through; opacity: 0.6; }
+</style>
+</head>
+<body>
+<p>${records.length} messages</p>
+${messages.join("\n")}
+</body>
+</html>
+`;
+}
+
+/**
+ * Groups messages into subtitle cues showing a rolling chat: each message
+ * appears at its offset below the messages still on screen, and stays for
+ * SUBTITLE_LIFETIME_MS (or until SUBTITLE_MAX_LINES newer ones push it out).
+ * A new cue starts whenever a message appears or expires.
+ * @param {Array<Object>} records - Export records, sorted by offset.
+ * @returns {Array<{startMs: number, endMs: number, lines: Array<Object>}>} The cues.
+ */
+function buildSubtitleCues(records) {
+  const startTimes = records.map((record) => Math.max(record.offsetMs, 0));
+  const boundaries = Array.from(
+    new Set(startTimes.flatMap((timeMs) => [timeMs, timeMs + SUBTITLE_LIFETIME_MS]))
+  ).sort((a, b) => a - b);
+
+  const cues = [];
+  let first = 0; // First message not yet expired
+  let next = 0; // First message not yet shown
+  for (let i = 0; i + 1 < boundaries.length; i++) {
+    const timeMs = boundaries[i];
+    while (next < records.length && startTimes[next] <= timeMs) next++;
+    while (first < next && startTimes[first] + SUBTITLE_LIFETIME_MS <= timeMs) first++;
+    const from = Math.max(first, next - SUBTITLE_MAX_LINES);
+    if (from === next) continue; // Nothing on screen
+
+    const previous = cues[cues.length - 1];
+    if (previous && previous.endMs === timeMs && previous.from === from && previous.to === next) {
+      previous.endMs = boundaries[i + 1]; // Same messages as before, e.g. one pushed out earlier expired
+    } else {
+      cues.push({ startMs: timeMs, endMs: boundaries[i + 1], from, to: next });
+    }
+  }
+  return cues.map(({ startMs, endMs, from, to }) => ({
+    startMs,
+    endMs,
+    lines: records.slice(from, to),
+  }));
+}
+
+/**
+ * Formats a subtitle timestamp as "hh:mm:ss" plus the milliseconds, e.g. "01:23:45.678".
+ * @param {number} timeMs - The time in milliseconds.
+ * @param {string} separator - Between seconds and milliseconds ("," for SRT, "." for WebVTT).
+ * @returns {string} The timestamp.
+ */
+function formatSubtitleTime(timeMs, separator) {
+  const totalMs = Math.max(0, Math.round(timeMs));
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const seconds = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Escapes text for SRT and WebVTT cues, which both understand `<b>` tags.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text, on a single line.
+ */
+function escapeCueText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/\s*\n\s*/g, " ");
+}
+
+/**
+ * Formats a message as a subtitle line with the author in bold.
+ * @param {Object} record - An export record.
+ * @returns {string} The cue line.
+ */
+function formatCueLine(record) {
+  const author = record.author
+    ? `<b>${escapeCueText(record.author)}</b>${record.amount ? ` (${escapeCueText(record.amount)})` : ""}: `
+    : "";
+  return `${author}${escapeCueText(record.text)}`;
+}
+
+/**
+ * Builds a SubRip (SRT) subtitle export.
+ * @param {Array<Object>} records - Export records, sorted by offset.
+ * @returns {string} The file contents.
+ */
+function buildSrtExport(records) {
+  return buildSubtitleCues(records)
+    .map(
+      (cue, index) =>
+        `${index + 1}\n` +
+        `${formatSubtitleTime(cue.startMs, ",")} --> ${formatSubtitleTime(cue.endMs, ",")}\n` +
+        `${cue.lines.map(formatCueLine).join("\n")}\n`
+    )
+    .join("\n");
+}
+
+/**
+ * Builds a WebVTT subtitle export.
+ * @param {Array<Object>} records - Export records, sorted by offset.
+ * @returns {string} The file contents.
+ */
+function buildVttExport(records) {
+  const cues = buildSubtitleCues(records).map(
+    (cue) =>
+      `${formatSubtitleTime(cue.startMs, ".")} --> ${formatSubtitleTime(cue.endMs, ".")}\n` +
+      `${cue.lines.map(formatCueLine).join("\n")}\n`
+  );
+  return ["WEBVTT\n", ...cues].join("\n");
+}
+
+/**
+ * Builds an Advanced SubStation Alpha (ASS) subtitle export, with the chat
+ * in the top left corner of a 1920x1080 video.
+ * @param {Array<Object>} records - Export records, sorted by offset.
+ * @returns {string} The file contents.
+ */
+function buildAssExport(records) {
+  // ASS times are h:mm:ss.cc (centiseconds)
+  const formatAssTime = (timeMs) => {
+    const [hours, minutes, rest] = formatSubtitleTime(timeMs, ".").split(":");
+    return `${Number(hours)}:${minutes}:${rest.slice(0, 5)}`;
+  };
+  // Braces start override tags and backslashes escapes, so neutralize both
+  const escapeAssText = (text) =>
+    text
+      .replace(/\\/g, "\\\u200B") // A zero-width space keeps "\\N" from becoming a line break
+      .replace(/{/g, "(")
+      .replace(/}/g, ")")
+      .replace(/\s*\n\s*/g, " ");
+  const formatAssLine = (record) => {
+    const author = record.author
+      ? `{\\b1}${escapeAssText(record.author)}{\\b0}${record.amount ? ` (${escapeAssText(record.amount)})` : ""}: `
+      : "";
+    return `${author}${escapeAssText(record.text)}`;
+  };
+
+  const events = buildSubtitleCues(records).map(
+    (cue) =>
+      `Dialogue: 0,${formatAssTime(cue.startMs)},${formatAssTime(cue.endMs)},Chat,,0,0,0,,` +
+      cue.lines.map(formatAssLine).join("\\N")
+  );
+  return [
+    "[Script Info]",
+    "ScriptType: v4.00+",
+    "PlayResX: 1920",
+    "PlayResY: 1080",
+    "WrapStyle: 0",
+    "",
+    "[V4+ Styles]",
+    "Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding",
+    "Style: Chat,Noto Sans,36,&H00FFFFFF,&H00FFFFFF,&H00000000,&H80000000,0,0,0,0,100,100,0,0,1,2,0,7,40,40,40,1",
+    "",
+    "[Events]",
+    "Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text",
+    ...events,
+    "",
+  ].join("\r\n");
+}
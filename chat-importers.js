@@ -0,0 +1,331 @@
+/*
+ * Importers for chat logs saved by other tools or from other platforms, used
+ * by the parser (chat-parser.js). Each turns one top-level object of such a log
+ * into YouTube-style actions, with renderers shaped like YouTube's, so the rest
+ * of the replayer treats them like any YouTube chat.
+ *
+ * Supported formats:
+ *   chat-downloader (https://github.com/xenova/chat-downloader) JSON output, of
+ *     YouTube or Twitch chats: an array of message objects with `message_type`
+ *   Twitch chat JSON, as saved by TwitchDownloader or the Twitch v5 comments API:
+ *     { comments: [{ _id, created_at, content_offset_seconds, commenter, message }] }
+ *
+ * Twitch users have no YouTube channel ID, so their IDs are prefixed with
+ * "twitch:" and their renderers get an `authorUrl` linking to their channel.
+ */
+
+/** Renderers of the chat-downloader `message_type`s that have a YouTube equivalent. */
+const CHAT_DOWNLOADER_RENDERERS = {
+  text_message: "liveChatTextMessageRenderer",
+  paid_message: "liveChatPaidMessageRenderer",
+  paid_sticker: "liveChatPaidStickerRenderer",
+  membership_item: "liveChatMembershipItemRenderer",
+  sponsorships_gift_purchase_announcement:
+    "liveChatSponsorshipsGiftPurchaseAnnouncementRenderer",
+  sponsorships_gift_redemption_announcement:
+    "liveChatSponsorshipsGiftRedemptionAnnouncementRenderer",
+  viewer_engagement_message: "liveChatViewerEngagementMessageRenderer",
+  mode_change_message: "liveChatModeChangeMessageRenderer",
+};
+
+/** Renderer color fields by chat-downloader `colours` key. */
+const CHAT_DOWNLOADER_COLORS = {
+  header_background_colour: "headerBackgroundColor",
+  header_text_colour: "headerTextColor",
+  body_background_colour: "bodyBackgroundColor",
+  body_text_colour: "bodyTextColor",
+  author_name_text_colour: "authorNameTextColor",
+  money_chip_background_colour: "moneyChipBackgroundColor",
+  money_chip_text_colour: "moneyChipTextColor",
+  background_colour: "backgroundColor",
+};
+
+/** YouTube badge icons for Twitch badges that mean the same role. */
+const TWITCH_BADGE_ICONS = {
+  broadcaster: "OWNER",
+  moderator: "MODERATOR",
+  partner: "VERIFIED",
+  verified: "VERIFIED",
+};
+
+/**
+ * Converts a top-level object of a supported non-YouTube chat log into timed actions.
+ * @param {Object} chatItem - One parsed top-level object of the chat file.
+ * @returns {?Array<{offsetMs: number, action: Object}>} The object's actions, or
+ *   null if it isn't from a supported format. Offsets may be NaN, see fillMissingOffset().
+ */
+function importChatItem(chatItem) {
+  if (Array.isArray(chatItem?.comments)) {
+    return chatItem.comments.map(importTwitchComment);
+  }
+  if (typeof chatItem?.message_type === "string" || typeof chatItem?.action_type === "string") {
+    return [importChatDownloaderMessage(chatItem)];
+  }
+  return null;
+}
+
+/**
+ * Converts one chat-downloader message into a timed action. Message types
+ * without a YouTube equivalent become an action named after the type, which
+ * is counted as skipped.
+ * @param {Object} message - A chat-downloader message object.
+ * @returns {{offsetMs: number, action: Object}} The action.
+ */
+function importChatDownloaderMessage(message) {
+  const offsetMs =
+    typeof message.time_in_seconds === "number"
+      ? Math.round(message.time_in_seconds * 1000)
+      : NaN;
+  const author = message.author || {};
+
+  if (message.action_type === "mark_chat_item_as_deleted") {
+    return {
+      offsetMs,
+      action: { markChatItemAsDeletedAction: { targetItemId: message.target_message_id } },
+    };
+  }
+  if (message.action_type === "mark_chat_items_by_author_as_deleted") {
+    return {
+      offsetMs,
+      action: {
+        markChatItemsByAuthorAsDeletedAction: { externalChannelId: getImportedChannelId(author.id) },
+      },
+    };
+  }
+
+  const rendererName = CHAT_DOWNLOADER_RENDERERS[message.message_type];
+  if (!rendererName) {
+    return { offsetMs, action: { [message.message_type || message.action_type]: {} } };
+  }
+
+  const authorDetails = {
+    authorName: { simpleText: author.display_name || author.name || "" },
+    authorExternalChannelId: getImportedChannelId(author.id),
+    authorPhoto: { thumbnails: (author.images || []).map(importImage) },
+    authorBadges: (author.badges || []).map(importChatDownloaderBadge),
+  };
+  if (isTwitchUserId(author.id) && author.name) {
+    authorDetails.authorUrl = `https://www.twitch.tv/${encodeURIComponent(author.name)}`;
+  }
+  const renderer = {
+    id: message.message_id,
+    timestampUsec: message.timestamp === undefined ? undefined : String(message.timestamp),
+    timestampText: message.time_text ? { simpleText: message.time_text } : undefined,
+    ...authorDetails,
+  };
+  const messageRuns = { runs: splitEmoteRuns(message.message, message.emotes) };
+
+  if (message.money?.text) {
+    renderer.purchaseAmountText = { simpleText: message.money.text };
+  }
+  Object.entries(message.colours || {}).forEach(([colour, value]) => {
+    const field = CHAT_DOWNLOADER_COLORS[colour];
+    const argb = toArgbColor(value);
+    if (field && argb !== undefined) renderer[field] = argb;
+  });
+
+  if (rendererName === "liveChatPaidStickerRenderer") {
+    renderer.sticker = {
+      thumbnails: (message.sticker_images || []).map(importImage),
+      accessibility: { accessibilityData: { label: message.sticker_label || message.message || "" } },
+    };
+  } else if (rendererName === "liveChatMembershipItemRenderer") {
+    if (message.header_primary_text) {
+      renderer.headerPrimaryText = { runs: [{ text: message.header_primary_text }] };
+    }
+    if (message.header_secondary_text) {
+      renderer.headerSubtext = { simpleText: message.header_secondary_text };
+    }
+    if (message.message) renderer.message = messageRuns;
+  } else if (rendererName === "liveChatSponsorshipsGiftPurchaseAnnouncementRenderer") {
+    // The gifter's details live in the header, as in YouTube's own data
+    const primaryText = message.header_primary_text || message.message || "";
+    return {
+      offsetMs,
+      action: {
+        addChatItemAction: {
+          item: {
+            [rendererName]: {
+              id: renderer.id,
+              timestampUsec: renderer.timestampUsec,
+              authorExternalChannelId: renderer.authorExternalChannelId,
+              header: {
+                liveChatSponsorshipsHeaderRenderer: {
+                  ...authorDetails,
+                  primaryText: { runs: [{ text: primaryText }] },
+                },
+              },
+            },
+          },
+        },
+      },
+    };
+  } else if (rendererName === "liveChatModeChangeMessageRenderer") {
+    renderer.text = messageRuns;
+  } else {
+    renderer.message = messageRuns;
+  }
+
+  return { offsetMs, action: { addChatItemAction: { item: { [rendererName]: renderer } } } };
+}
+
+/**
+ * Converts a chat-downloader author badge into a YouTube badge.
+ * @param {{title: string, icon_name?: string, icons?: Array<Object>}} badge - The badge.
+ * @returns {Object} The badge, as an item of `authorBadges`.
+ */
+function importChatDownloaderBadge(badge) {
+  const iconType = (badge.icon_name || badge.name || "").toUpperCase();
+  const badgeRenderer = { tooltip: badge.title || badge.name || "" };
+  if (["OWNER", "MODERATOR", "VERIFIED"].includes(iconType)) {
+    badgeRenderer.icon = { iconType };
+  } else if (TWITCH_BADGE_ICONS[badge.name]) {
+    badgeRenderer.icon = { iconType: TWITCH_BADGE_ICONS[badge.name] };
+  } else if (badge.icons?.length) {
+    badgeRenderer.customThumbnail = { thumbnails: badge.icons.map(importImage) };
+  }
+  return { liveChatAuthorBadgeRenderer: badgeRenderer };
+}
+
+/**
+ * Converts one comment of a Twitch chat log into a timed text message action.
+ * @param {Object} comment - A comment, as saved by TwitchDownloader or the v5 API.
+ * @returns {{offsetMs: number, action: Object}} The action.
+ */
+function importTwitchComment(comment) {
+  const commenter = comment?.commenter || {};
+  const message = comment?.message || {};
+  const fragments = message.fragments?.length ? message.fragments : [{ text: message.body || "" }];
+  const createdAtMs = Date.parse(comment?.created_at);
+
+  const renderer = {
+    id: comment?._id,
+    timestampUsec: isFinite(createdAtMs) ? String(createdAtMs * 1000) : undefined,
+    authorName: { simpleText: commenter.display_name || commenter.name || "" },
+    authorExternalChannelId: getImportedChannelId(commenter._id),
+    authorPhoto: { thumbnails: commenter.logo ? [{ url: commenter.logo }] : [] },
+    authorBadges: (message.user_badges || []).map((badge) => {
+      const iconType = TWITCH_BADGE_ICONS[badge._id];
+      // Subscriber badges play the part of YouTube memberships
+      const tooltip = badge._id === "subscriber" ? `Subscriber (${badge.version})` : badge._id;
+      return {
+        liveChatAuthorBadgeRenderer: iconType ? { icon: { iconType }, tooltip } : { tooltip },
+      };
+    }),
+    message: {
+      runs: fragments.map((fragment) =>
+        fragment.emoticon
+          ? createEmoteRun(fragment.text, [
+              {
+                url: `https://static-cdn.jtvnw.net/emoticons/v2/${fragment.emoticon.emoticon_id}/default/dark/1.0`,
+              },
+            ])
+          : { text: fragment.text }
+      ),
+    },
+  };
+  if (commenter.name) {
+    renderer.authorUrl = `https://www.twitch.tv/${encodeURIComponent(commenter.name)}`;
+  }
+
+  const offsetSeconds = Number(comment?.content_offset_seconds);
+  return {
+    offsetMs: isFinite(offsetSeconds) ? Math.round(offsetSeconds * 1000) : NaN,
+    action: { addChatItemAction: { item: { liveChatTextMessageRenderer: renderer } } },
+  };
+}
+
+/**
+ * Splits a plain-text message into text and emote runs, like YouTube's `message.runs`.
+ * @param {string|undefined} text - The message, with emotes written as their names.
+ * @param {Array<{name: string, images: Array<Object>}>|undefined} emotes - The message's emotes.
+ * @returns {Array<Object>} The runs.
+ */
+function splitEmoteRuns(text, emotes) {
+  if (!text) return [];
+  const emotesByName = new Map((emotes || []).filter((emote) => emote.name).map((emote) => [emote.name, emote]));
+  if (emotesByName.size === 0) return [{ text }];
+
+  // Longest names first, so ":cat_face:" wins over ":cat:"; word-like names
+  // (Twitch's "Kappa") only match as whole words
+  const alternatives = Array.from(emotesByName.keys())
+    .sort((a, b) => b.length - a.length)
+    .map((name) => {
+      const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      return /^\w+$/.test(name) ? `\\b${escaped}\\b` : escaped;
+    });
+  const pattern = new RegExp(alternatives.join("|"), "gu");
+
+  const runs = [];
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > lastIndex) runs.push({ text: text.slice(lastIndex, match.index) });
+    const emote = emotesByName.get(match[0]);
+    runs.push(createEmoteRun(emote.name, (emote.images || []).map(importImage), emote));
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) runs.push({ text: text.slice(lastIndex) });
+  return runs;
+}
+
+/**
+ * Creates an emoji run, as processMessageRuns (script.js) displays it.
+ * @param {string} name - The emote's name, used as its shortcut.
+ * @param {Array<{url: string}>} thumbnails - The emote's images.
+ * @param {Object} [emote] - The chat-downloader emote, for its ID and kind.
+ * @returns {{emoji: Object}} The run.
+ */
+function createEmoteRun(name, thumbnails, emote) {
+  return {
+    emoji: {
+      emojiId: emote?.id || name,
+      shortcuts: [name],
+      image: { thumbnails },
+      // Twitch emotes are all channel or platform emotes
+      isCustomEmoji: emote ? Boolean(emote.is_custom_emoji) : true,
+      accessibility: { accessibilityData: { label: name } },
+    },
+  };
+}
+
+/**
+ * Converts a chat-downloader image into a YouTube thumbnail.
+ * @param {{url: string, width?: number, height?: number}} image - The image.
+ * @returns {{url: string, width?: number, height?: number}} The thumbnail.
+ */
+function importImage(image) {
+  return { url: image.url, width: image.width, height: image.height };
+}
+
+/**
+ * Converts a color of chat-downloader ("#rrggbb" or "#rrggbbaa", or a number)
+ * into YouTube's unsigned ARGB integer.
+ * @param {string|number} colour - The color.
+ * @returns {number|undefined} The ARGB color, or undefined if it can't be read.
+ */
+function toArgbColor(colour) {
+  if (typeof colour === "number") return colour >>> 0;
+  const hex = /^#?([0-9a-f]{6})([0-9a-f]{2})?$/i.exec(colour || "");
+  if (!hex) return undefined;
+  const alpha = hex[2] ? parseInt(hex[2], 16) : 0xff;
+  return ((alpha << 24) | parseInt(hex[1], 16)) >>> 0;
+}
+
+/**
+ * Whether a user ID is a Twitch one (numeric), rather than a YouTube channel ID.
+ * @param {string|number|undefined} id - The ID.
+ * @returns {boolean}
+ */
+function isTwitchUserId(id) {
+  return /^\d+$/.test(String(id ?? ""));
+}
+
+/**
+ * Gets the ID an imported author is known by in the replayer.
+ * @param {string|number|undefined} id - The author's ID on their platform.
+ * @returns {string|undefined} The ID, prefixed with "twitch:" for Twitch users.
+ */
+function getImportedChannelId(id) {
+  if (id === undefined || id === null || id === "") return undefined;
+  return isTwitchUserId(id) ? `twitch:${id}` : String(id);
+}
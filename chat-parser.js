@@ -0,0 +1,542 @@
+/*
+ * Chat file parsing, shared by the page (script.js) and the parser worker
+ * (chat-worker.js): reads a chat file or download as a stream and turns it
+ * into batches of normalized chat messages.
+ * Logs of other tools and platforms are first converted to YouTube-style
+ * actions by chat-importers.js, and compressed sources are decompressed by
+ * chat-decompress.js; both must be loaded too.
+ *
+ * A normalized message is one of:
+ *   { type: "item", offsetMs, item }      - a displayable chat item (renderer object)
+ *   { type: "banner", offsetMs, banner }  - a pinned banner (liveChatBannerRenderer)
+ *   { type: "delete", offsetMs, targetItemId, deletedStateMessage }
+ *   { type: "deleteByAuthor", offsetMs, authorChannelId, deletedStateMessage }
+ *
+ * Damaged entries (e.g. the cut-off last line of an interrupted download) are
+ * skipped and reported with their line number, rather than failing the load.
+ */
+
+// Unreadable entries reported in detail per source; further ones are only counted
+const MAX_REPORTED_PROBLEMS = 1000;
+
+/**
+ * Chat item renderers that the page knows how to display, with the message type
+ * of the filter panel and the CSS class of each (see createChatItemElement and
+ * getEntryType in script.js). Items of other types are counted, but not passed on.
+ */
+const DISPLAYED_ITEM_RENDERERS = {
+  // The class is themed in overlay mode
+  liveChatTextMessageRenderer: { messageType: "text", className: "chat-text-message" },
+  liveChatMembershipItemRenderer: {
+    messageType: "membership",
+    className: "chat-membership-message",
+  },
+  liveChatPaidMessageRenderer: { messageType: "superChat", className: "chat-paid-message" },
+  liveChatPaidStickerRenderer: { messageType: "superSticker", className: "chat-paid-sticker" },
+  // "Gifted 5 memberships"
+  liveChatSponsorshipsGiftPurchaseAnnouncementRenderer: {
+    messageType: "gift",
+    className: "chat-gift-message",
+  },
+  // "Received a gift membership"
+  liveChatSponsorshipsGiftRedemptionAnnouncementRenderer: {
+    messageType: "gift",
+    className: "chat-gift-redemption-message",
+  },
+  // Chat rules, poll results
+  liveChatViewerEngagementMessageRenderer: {
+    messageType: "system",
+    className: "chat-engagement-message",
+  },
+  // Slow mode, members-only...
+  liveChatModeChangeMessageRenderer: {
+    messageType: "system",
+    className: "chat-mode-change-message",
+  },
+};
+
+/**
+ * Gets the renderer name of a chat item that can be displayed.
+ * @param {Object} item - The `item` of an `addChatItemAction`.
+ * @returns {string|undefined} The name, a key of DISPLAYED_ITEM_RENDERERS, or
+ *   undefined for items of other types.
+ */
+function getDisplayedRendererName(item) {
+  return Object.keys(DISPLAYED_ITEM_RENDERERS).find((rendererName) => item[rendererName]);
+}
+
+/**
+ * Whether a chat item is of a type that can be displayed, without building it.
+ * @param {Object} item - The `item` of an `addChatItemAction`.
+ * @returns {boolean}
+ */
+function isDisplayableChatItem(item) {
+  return getDisplayedRendererName(item) !== undefined;
+}
+
+
+/**
+ * Renderer fields only YouTube's own UI uses. They are a large share of every
+ * item, so they are dropped to keep big logs in memory.
+ */
+const UNUSED_RENDERER_FIELDS = [
+  "contextMenuEndpoint",
+  "contextMenuAccessibility",
+  "trackingParams",
+];
+
+/**
+ * Opens a chat source as a byte stream.
+ * @param {{file: File}|{url: string}} source - A local file or a URL to download.
+ * @returns {Promise<{reader: ReadableStreamDefaultReader<Uint8Array>, totalBytes: number}>}
+ *   The reader, and the expected size in bytes (NaN if unknown).
+ */
+async function openChatSource(source) {
+  if (source.file) {
+    return {
+      reader: source.file.stream().getReader(),
+      totalBytes: source.file.size,
+    };
+  }
+
+  const response = await fetch(source.url);
+  if (!response.ok) {
+    // Handle HTTP errors (like 404 Not Found, 500 Internal Server Error)
+    throw new Error(
+      `HTTP error! Status: ${response.status} ${response.statusText}`
+    );
+  }
+  if (!response.body) {
+    throw new Error("Response body is not available.");
+  }
+  // Content-Length (if present) enables determinate progress
+  return {
+    reader: response.body.getReader(),
+    totalBytes: parseInt(response.headers.get("Content-Length"), 10),
+  };
+}
+
+/**
+ * Reads, parses and normalizes a chat source chunk by chunk. Sources may be
+ * gzip, xz or zip compressed; progress then counts the compressed bytes.
+ * Unreadable entries are skipped and reported in the batches. If nothing at all
+ * could be read, or the data can't be decompressed, an error is thrown with
+ * `phase` set to "process"; errors opening or reading the source have no phase.
+ * @param {{file: File}|{url: string}} source - A local file or a URL to download.
+ * @param {Object} callbacks
+ * @param {function(Object): void} callbacks.onProgress - Called with
+ *   `{ receivedBytes, totalBytes, actionCount }` after every chunk.
+ * @param {function(Object): void} callbacks.onBatch - Called with a batch (see
+ *   createMessageBatch) for the actions parsed from every chunk.
+ * @param {function(): boolean} [callbacks.isCancelled] - Polled between chunks;
+ *   reading stops once it returns true.
+ * @returns {Promise<boolean>} Whether the whole source was read (false if cancelled).
+ */
+async function readChatSource(
+  source,
+  { onProgress, onBatch, isCancelled = () => false }
+) {
+  let actionCount = 0;
+  // Compressed sources are decompressed on the fly, see chat-decompress.js
+  const { reader, totalBytes, getReceivedBytes } = await openDecompressedSource(
+    { ...(await openChatSource(source)), blob: source.file },
+    (progress) => onProgress({ ...progress, actionCount })
+  );
+  onProgress({ receivedBytes: getReceivedBytes(), totalBytes, actionCount });
+
+  // Used to derive offsets for actions without one, see fillMissingOffset()
+  const offsetState = { firstTimestampUsec: NaN, previousOffsetMs: 0 };
+  let batch = createMessageBatch();
+  let problemCount = 0;
+  let firstProblem = null;
+  const reportProblem = (line, reason) => {
+    problemCount++;
+    firstProblem = firstProblem || { line, reason };
+    batch.skipped.unreadable++;
+    if (problemCount <= MAX_REPORTED_PROBLEMS) {
+      batch.problems.push({ line, reason });
+    }
+  };
+  const parser = createJsonObjectStreamParser((chatItem, line) => {
+    try {
+      const timedActions = extractTimedActions(chatItem, offsetState);
+      if (!timedActions) {
+        reportProblem(line, "Not a chat entry of a known format");
+        return;
+      }
+      timedActions.forEach((timedAction) => normalizeTimedAction(timedAction, batch));
+    } catch (error) {
+      reportProblem(line, `Unexpected entry structure (${error.message})`);
+    }
+  }, reportProblem);
+  const decoder = new TextDecoder("utf-8");
+
+  const processText = (text, isLastChunk) => {
+    try {
+      parser.push(text);
+      if (isLastChunk) parser.end();
+    } catch (error) {
+      error.phase = "process";
+      throw error;
+    }
+    if (batch.actionCount > 0 || batch.problems.length > 0) {
+      actionCount += batch.actionCount;
+      onBatch(batch);
+      batch = createMessageBatch();
+    }
+  };
+
+  // --- Read the stream ---
+  while (true) {
+    let chunk;
+    try {
+      chunk = await reader.read();
+    } catch (error) {
+      if (!error.truncated) throw error;
+      // E.g. an interrupted download: keep the entries decompressed so far
+      const problem = {
+        line: parser.getLine(),
+        reason: `${error.message} (the file was probably cut off)`,
+      };
+      firstProblem = firstProblem || problem;
+      batch.problems.push(problem);
+      break;
+    }
+    const { done, value } = chunk;
+    if (isCancelled()) {
+      reader.cancel();
+      return false;
+    }
+    if (done) {
+      break; // Stream finished
+    }
+
+    // A multi-byte character may be split across chunks; stream mode keeps its bytes
+    processText(decoder.decode(value, { stream: true }), false);
+    onProgress({ receivedBytes: getReceivedBytes(), totalBytes, actionCount });
+  }
+
+  // --- All chunks received, flush the decoder and parser ---
+  processText(decoder.decode(), true);
+  if (actionCount === 0 && firstProblem) {
+    // Most likely not a chat log at all
+    const error = new SyntaxError(
+      `No chat entries could be read (line ${firstProblem.line}: ${firstProblem.reason})`
+    );
+    error.phase = "process";
+    throw error;
+  }
+  return true;
+}
+
+/**
+ * Creates an empty batch of normalized messages.
+ * @returns {{messages: Array<Object>, skipped: Object, unhandled: Object,
+ *   problems: Array<{line: number, reason: string}>, actionCount: number}}
+ */
+function createMessageBatch() {
+  return {
+    messages: [],
+    // Actions (and unreadable entries) that produce no message, by reason, for the summary
+    skipped: { ticker: 0, otherItem: 0, otherAction: 0, unreadable: 0 },
+    // Names of the skipped item renderers and actions, with their counts
+    unhandled: { items: {}, actions: {} },
+    // Details of the unreadable entries (up to MAX_REPORTED_PROBLEMS per source)
+    problems: [],
+    actionCount: 0,
+  };
+}
+
+/**
+ * Counts a skipped item renderer or action by its name.
+ * @param {Object<string, number>} counts - Counts by name, updated in place.
+ * @param {string|undefined} name - The renderer or action name.
+ */
+function countUnhandled(counts, name = "(empty)") {
+  counts[name] = (counts[name] || 0) + 1;
+}
+
+/**
+ * Turns one timed action into a normalized message in the batch, or counts it
+ * as skipped if it isn't something the page displays.
+ * @param {{offsetMs: number, action: Object}} timedAction - The action and its offset.
+ * @param {Object} batch - The batch to add to, see createMessageBatch().
+ */
+function normalizeTimedAction({ offsetMs, action }, batch) {
+  batch.actionCount++;
+
+  // Determine the type of action
+  const addChatItemAction = action?.addChatItemAction;
+  const addBannerCommand = action?.addBannerToLiveChatCommand;
+  const deleteItemAction = action?.markChatItemAsDeletedAction;
+  const deleteByAuthorAction = action?.markChatItemsByAuthorAsDeletedAction;
+
+  if (addChatItemAction) {
+    const item = addChatItemAction.item;
+    if (!item) {
+      // This indicates a data structure issue
+      console.warn("Found addChatItemAction without an item.", addChatItemAction);
+      batch.skipped.otherAction++; // Count as a skipped action/item problem
+      countUnhandled(batch.unhandled.actions, "addChatItemAction (without an item)");
+      return;
+    }
+    if (!isDisplayableChatItem(item)) {
+      batch.skipped.otherItem++;
+      countUnhandled(batch.unhandled.items, Object.keys(item)[0]);
+      return;
+    }
+    batch.messages.push({ type: "item", offsetMs, item: stripUnusedFields(item) });
+  } else if (addBannerCommand) {
+    const banner = addBannerCommand.bannerRenderer?.liveChatBannerRenderer;
+    if (!banner?.contents || !isDisplayableChatItem(banner.contents)) {
+      batch.skipped.otherAction++;
+      const contentsName = banner?.contents ? Object.keys(banner.contents)[0] : "without contents";
+      countUnhandled(batch.unhandled.actions, `addBannerToLiveChatCommand (${contentsName})`);
+      return;
+    }
+    banner.contents = stripUnusedFields(banner.contents);
+    batch.messages.push({ type: "banner", offsetMs, banner });
+  } else if (deleteItemAction) {
+    batch.messages.push({
+      type: "delete",
+      offsetMs,
+      targetItemId: deleteItemAction.targetItemId,
+      deletedStateMessage: deleteItemAction.deletedStateMessage,
+    });
+  } else if (deleteByAuthorAction) {
+    batch.messages.push({
+      type: "deleteByAuthor",
+      offsetMs,
+      authorChannelId: deleteByAuthorAction.externalChannelId,
+      deletedStateMessage: deleteByAuthorAction.deletedStateMessage,
+    });
+  } else if (action?.addLiveChatTickerItemAction) {
+    // Ticker items duplicate messages already in the chat
+    batch.skipped.ticker++;
+  } else {
+    batch.skipped.otherAction++;
+    countUnhandled(batch.unhandled.actions, Object.keys(action || {})[0]);
+  }
+}
+
+/**
+ * Removes UNUSED_RENDERER_FIELDS from a chat item's renderer.
+ * @param {Object} item - A chat item, e.g. `{ liveChatTextMessageRenderer: {...} }`.
+ * @returns {Object} The same item, modified in place.
+ */
+function stripUnusedFields(item) {
+  const renderer = Object.values(item)[0];
+  if (renderer) {
+    UNUSED_RENDERER_FIELDS.forEach((field) => delete renderer[field]);
+  }
+  return item;
+}
+
+/**
+ * Creates an incremental parser for a stream of JSON objects, which may be
+ * newline-delimited (yt-dlp), simply concatenated, or elements of one big array.
+ * Object boundaries are found by tracking nesting depth and string literals,
+ * so braces inside message text never split an object.
+ *
+ * Damaged objects are reported and skipped. If the first object fits on one
+ * line, the data is taken to be newline-delimited: an object still open at the
+ * end of its line was cut off, and parsing resumes on the next line.
+ * @param {function(Object, number): void} onObject - Called with each complete
+ *   top-level object and the line it starts on.
+ * @param {function(number, string): void} onError - Called with the line and the
+ *   reason of each object that can't be parsed.
+ * @returns {{push: function(string): void, end: function(): void, getLine: function(): number}}
+ *   `push` feeds the next piece of text; `end` signals that no more text will
+ *   follow; `getLine` tells the line reached so far.
+ */
+function createJsonObjectStreamParser(onObject, onError) {
+  let buffer = ""; // Unconsumed text: the current partial object, if any
+  let scanIndex = 0; // Next position in buffer to examine
+  let objectStart = -1; // Position of the current object's "{", or -1 between objects
+  let depth = 0;
+  let inString = false;
+  let line = 1; // Line of scanIndex
+  let objectLine = 0; // Line of the current object's "{"
+  let isLineDelimited = null; // Unknown until the first object is complete
+  const structuralPattern = /[{}[\]"\n]/g;
+  const stringPattern = /["\\\n]/g;
+
+  const skipObject = (reason) => {
+    onError(objectLine, reason);
+    objectStart = -1;
+    depth = 0;
+    inString = false;
+  };
+
+  // A line break inside an object is fine in pretty-printed data only
+  const handleLineBreak = () => {
+    line++;
+    if (objectStart >= 0 && isLineDelimited) {
+      skipObject("Incomplete entry: the line ends before the entry does");
+    }
+  };
+
+  const scan = () => {
+    while (scanIndex < buffer.length) {
+      if (inString) {
+        stringPattern.lastIndex = scanIndex;
+        const match = stringPattern.exec(buffer);
+        if (!match) {
+          scanIndex = buffer.length;
+          return;
+        }
+        if (match[0] === "\\") {
+          // Skip the escaped character, once it has arrived
+          if (match.index + 1 >= buffer.length) {
+            scanIndex = match.index;
+            return;
+          }
+          // (an escaped line break is invalid, and still counts as one)
+          scanIndex = buffer[match.index + 1] === "\n" ? match.index + 1 : match.index + 2;
+        } else if (match[0] === "\n") {
+          scanIndex = match.index + 1;
+          handleLineBreak();
+        } else {
+          inString = false;
+          scanIndex = match.index + 1;
+        }
+        continue;
+      }
+
+      structuralPattern.lastIndex = scanIndex;
+      const match = structuralPattern.exec(buffer);
+      if (!match) {
+        scanIndex = buffer.length;
+        return;
+      }
+      scanIndex = match.index + 1;
+      const char = match[0];
+
+      if (char === "\n") {
+        handleLineBreak();
+      } else if (depth === 0) {
+        // Between objects, only "{" matters: whitespace, commas and the
+        // brackets of a wrapping array are skipped
+        if (char === "{") {
+          objectStart = match.index;
+          objectLine = line;
+          depth = 1;
+        }
+      } else if (char === '"') {
+        inString = true;
+      } else if (char === "{" || char === "[") {
+        depth++;
+      } else if (--depth === 0) {
+        if (isLineDelimited === null) isLineDelimited = line === objectLine;
+        const text = buffer.slice(objectStart, scanIndex);
+        objectStart = -1;
+        let value;
+        try {
+          value = JSON.parse(text);
+        } catch (error) {
+          onError(objectLine, error.message);
+          continue;
+        }
+        onObject(value, objectLine);
+      }
+    }
+  };
+
+  return {
+    push(text) {
+      buffer += text;
+      scan();
+      // Drop everything before the current partial object
+      const keepFrom = objectStart >= 0 ? objectStart : scanIndex;
+      if (keepFrom > 0) {
+        buffer = buffer.slice(keepFrom);
+        scanIndex -= keepFrom;
+        if (objectStart >= 0) objectStart = 0;
+      }
+    },
+    end() {
+      if (objectStart >= 0) {
+        skipObject("Incomplete entry at the end of the data (the file was probably cut off)");
+      }
+    },
+    getLine: () => line,
+  };
+}
+
+/**
+ * Extracts the actions of one top-level chat item, each paired with the video
+ * offset (in milliseconds) at which it appeared.
+ * Handles both yt-dlp replay lines (`replayChatItemAction`) and raw continuation
+ * responses, whose actions may themselves be wrapped in `replayChatItemAction`.
+ * Anything else is handed to the importers of other formats (chat-importers.js).
+ * @param {Object} chatItem - One parsed top-level object of the chat file.
+ * @param {Object} offsetState - Per-log state for fillMissingOffset.
+ * @returns {?Array<{offsetMs: number, action: Object}>} The item's actions, or
+ *   null if it isn't a chat entry of any supported format.
+ */
+function extractTimedActions(chatItem, offsetState) {
+  const timedActions = [];
+
+  const addReplayActions = (replayAction) => {
+    const offsetMs = parseInt(replayAction.videoOffsetTimeMsec, 10);
+    (replayAction.actions || []).forEach((action) => {
+      timedActions.push({ offsetMs, action });
+    });
+  };
+
+  if (chatItem?.replayChatItemAction) {
+    addReplayActions(chatItem.replayChatItemAction);
+  } else if (chatItem?.continuationContents) {
+    const continuationActions =
+      chatItem.continuationContents.liveChatContinuation?.actions || [];
+    continuationActions.forEach((action) => {
+      if (action?.replayChatItemAction) {
+        addReplayActions(action.replayChatItemAction);
+      } else {
+        // Live (non-replay) continuations carry no offset; filled in below
+        timedActions.push({ offsetMs: NaN, action });
+      }
+    });
+  } else {
+    const importedActions = importChatItem(chatItem);
+    if (!importedActions) return null;
+    importedActions.forEach((timedAction) => timedActions.push(timedAction));
+  }
+
+  timedActions.forEach((timedAction) =>
+    fillMissingOffset(timedAction, offsetState)
+  );
+  return timedActions;
+}
+
+/**
+ * Derives an offset for an action that has none, using the item's `timestampUsec`
+ * relative to the first timestamp seen in the log, or else the previous action's offset.
+ * @param {{offsetMs: number, action: Object}} timedAction - Modified in place.
+ * @param {{firstTimestampUsec: number, previousOffsetMs: number}} offsetState -
+ *   Per-log state, updated as actions are seen.
+ */
+function fillMissingOffset(timedAction, offsetState) {
+  const usec = getActionTimestampUsec(timedAction.action);
+  if (isFinite(usec) && !isFinite(offsetState.firstTimestampUsec)) {
+    offsetState.firstTimestampUsec = usec;
+  }
+  if (isNaN(timedAction.offsetMs)) {
+    timedAction.offsetMs = isFinite(usec)
+      ? Math.round((usec - offsetState.firstTimestampUsec) / 1000)
+      : offsetState.previousOffsetMs;
+  }
+  offsetState.previousOffsetMs = timedAction.offsetMs;
+}
+
+/**
+ * Reads the `timestampUsec` of the chat item inside an action, if it has one.
+ * @param {Object} action - A single chat action.
+ * @returns {number} The timestamp in microseconds, or NaN.
+ */
+function getActionTimestampUsec(action) {
+  const item = action?.addChatItemAction?.item;
+  if (!item) return NaN;
+  const renderer = Object.values(item)[0];
+  return parseInt(renderer?.timestampUsec, 10);
+}
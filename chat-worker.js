@@ -0,0 +1,32 @@
+/*
+ * Parser worker: reads and parses a chat source off the main thread, and posts
+ * progress and normalized message batches back to the page (script.js).
+ *
+ * From the page:  { source: { file } | { url } }
+ * To the page:    { type: "progress", receivedBytes, totalBytes, actionCount }
+ *                 { type: "batch", batch }
+ *                 { type: "done" }
+ *                 { type: "error", name, message, phase }
+ *
+ * Each worker handles a single load; the page cancels it by terminating the worker.
+ */
+importScripts("chat-importers.js", "chat-decompress.js", "chat-parser.js");
+
+self.onmessage = async (event) => {
+  try {
+    await readChatSource(event.data.source, {
+      onProgress: (progress) =>
+        self.postMessage({ type: "progress", ...progress }),
+      onBatch: (batch) => self.postMessage({ type: "batch", batch }),
+    });
+    self.postMessage({ type: "done" });
+  } catch (error) {
+    // Errors don't survive postMessage as-is, so send what the page needs
+    self.postMessage({
+      type: "error",
+      name: error.name,
+      message: error.message,
+      phase: error.phase,
+    });
+  }
+};
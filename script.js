@@ -3,50 +3,597 @@ const chatContainer = document.getElementById("chat-container");
 const urlInput = document.getElementById("chatUrl");
 const loadUrlButton = document.getElementById("loadUrlButton");
 const progressBar = document.getElementById("downloadProgress"); // Get progress bar
+const videoInput = document.getElementById("videoFile");
+const videoPlayer = document.getElementById("videoPlayer");
+const videoStatus = document.getElementById("videoStatus");
+const playbackControls = document.getElementById("playbackControls");
+const playPauseButton = document.getElementById("playPauseButton");
+const timelineScrubber = document.getElementById("timelineScrubber");
+const playbackTimeLabel = document.getElementById("playbackTime");
+const playbackRateSelect = document.getElementById("playbackRate");
+const jumpToTimeInput = document.getElementById("jumpToTime");
+const jumpButton = document.getElementById("jumpButton");
+const showDeletedToggle = document.getElementById("showDeletedToggle");
+const copyLinkButton = document.getElementById("copyLinkButton");
+const shortcutsPanel = document.getElementById("shortcutsPanel");
+const liveStatus = document.getElementById("liveStatus");
+const liveAlert = document.getElementById("liveAlert");
+const linkStatus = document.getElementById("linkStatus");
+const searchBar = document.getElementById("searchBar");
+const searchInput = document.getElementById("searchInput");
+const searchPrevButton = document.getElementById("searchPrevButton");
+const searchNextButton = document.getElementById("searchNextButton");
+const searchCountLabel = document.getElementById("searchCount");
+const filterPanel = document.getElementById("filterPanel");
+const authorFilterInput = document.getElementById("authorFilter");
+const filterFromInput = document.getElementById("filterFrom");
+const filterToInput = document.getElementById("filterTo");
+const resetFiltersButton = document.getElementById("resetFiltersButton");
+const exportBar = document.getElementById("exportBar");
+const exportFormatSelect = document.getElementById("exportFormat");
+const exportButton = document.getElementById("exportButton");
+const offlineImagesBar = document.getElementById("offlineImagesBar");
+const saveImagesButton = document.getElementById("saveImagesButton");
+const clearImagesButton = document.getElementById("clearImagesButton");
+const offlineImagesStatus = document.getElementById("offlineImagesStatus");
+const analyticsPanel = document.getElementById("analyticsPanel");
+const analyticsContent = document.getElementById("analyticsContent");
+const diagnosticsPanel = document.getElementById("diagnosticsPanel");
+const diagnosticsContent = document.getElementById("diagnosticsContent");
+const authorPanel = document.getElementById("authorPanel");
+const authorPanelPhoto = document.getElementById("authorPanelPhoto");
+const authorPanelName = document.getElementById("authorPanelName");
+const authorPanelBadges = document.getElementById("authorPanelBadges");
+const authorPanelStats = document.getElementById("authorPanelStats");
+const authorPanelMessages = document.getElementById("authorPanelMessages");
+const authorPanelMoreButton = document.getElementById("authorPanelMoreButton");
+const closeAuthorPanelButton = document.getElementById("closeAuthorPanelButton");
+const libraryPanel = document.getElementById("libraryPanel");
+const saveToLibraryToggle = document.getElementById("saveToLibraryToggle");
+const libraryStatus = document.getElementById("libraryStatus");
+const libraryList = document.getElementById("libraryList");
+
+// How close (in px) to the bottom the chat must be scrolled to keep following new messages
+const SCROLL_STICK_THRESHOLD_PX = 40;
+
+// Height assumed for messages before any has been measured
+const DEFAULT_MESSAGE_HEIGHT_PX = 44;
+// Extra px rendered above and below the visible part of the chat
+const RENDER_BUFFER_PX = 600;
+// Upper bound on measure-and-adjust passes per render
+const MAX_RENDER_PASSES = 4;
+// Pause in typing (ms) before the search runs or the filters apply
+const SEARCH_DEBOUNCE_MS = 250;
+// Messages rendered at a time in the author panel (more with "Show more")
+const AUTHOR_PANEL_PAGE_SIZE = 200;
+// Parallel downloads when saving images for offline use
+const IMAGE_SAVE_CONCURRENCY = 6;
+// Largest difference (ms) between the clocks of merged sources that is put down
+// to the delivery delay of chat messages rather than to different videos
+const SOURCE_ALIGNMENT_TOLERANCE_MS = 10 * 1000;
+// Messages reaching back into the loaded chat (e.g. from an overlapping second
+// file) are merged in at most this often (ms), and for at most 1/MERGE_COST_FACTOR
+// of the time, as each merge rebuilds the whole list; see mergePendingEntries()
+const MERGE_INTERVAL_MS = 1000;
+const MERGE_COST_FACTOR = 10;
+// Delay (ms) before the playback position of a library log is stored, so playing
+// doesn't write on every frame
+const LIBRARY_POSITION_SAVE_MS = 2000;
+// Message batches read from the library at a time when reopening a log
+const LIBRARY_BATCHES_PER_READ = 20;
+// Seek steps (ms) of the arrow keys and of J/L, see handleShortcutKey()
+const SHORTCUT_SEEK_MS = 5 * 1000;
+const SHORTCUT_LONG_SEEK_MS = 10 * 1000;
+// Delay (ms) between clearing and filling a live region, so screen readers
+// announce a message again even if it didn't change
+const ANNOUNCE_DELAY_MS = 100;
+// File names of chat logs, plain or compressed
+const CHAT_FILE_NAME_PATTERN = /\.jsonl?(\.gz|\.xz)?$|\.zip$/i;
+// localStorage key of the "Save loaded chats to the library" setting
+const SAVE_TO_LIBRARY_SETTING = "saveToLibrary";
+// Overlay mode defaults, see readOverlaySettings()
+const OVERLAY_DEFAULT_MAX_MESSAGES = 10;
+const OVERLAY_DEFAULT_LIFETIME_MS = 30 * 1000;
+// Overlay animations; the first is the default
+const OVERLAY_ANIMATIONS = ["fade", "slide", "none"];
+// Length (ms) of a message's overlay animation in and out
+const OVERLAY_ANIMATION_MS = 400;
+
+// Displayable messages of the loaded log, sorted by video offset:
+// { offsetMs, item | banner, deletedState?, height? }, where deletedState is
+// { offsetMs, message }: when the message was deleted, and YouTube's deletion note
+let chatTimeline = [];
+// The chatTimeline entries the list is made of, i.e. those passing chatFilters
+let listEntries = [];
+// Number of listEntries at or before the playback position, i.e. listed in the chat
+let visibleCount = 0;
+// Bookkeeping of the log being (or last) loaded, see startChatLoad()
+let chatLoadState = null;
+// Incremented by every new load, so a superseded load can notice and stop
+let chatLoadCounter = 0;
+// The summary line above the chat list
+let chatSummaryElement = null;
+// The parser worker of the load in progress: { worker, cancel }
+let activeChatWorker = null;
+// Set once creating a worker failed, so later loads parse on the page directly
+let workerUnavailable = false;
+// The list element (sized to all listed entries) and the window of rendered ones inside it
+let chatListElement = null;
+let chatWindowElement = null;
+// Entries currently rendered in the window, as [start, end) indices, and their elements
+let renderedRange = { start: 0, end: 0 };
+let renderedElements = new Map();
+// Height bookkeeping of listEntries, see resetListMeasurements()
+let heightTree = createFenwickTree(0);
+let measuredTree = createFenwickTree(0);
+let measuredHeightTotal = 0;
+let measuredEntryCount = 0;
+// requestAnimationFrame handle of a pending scroll re-render
+let scrollFrameId = null;
+// Last seen width of the chat container, to detect re-wrapping
+let lastChatWidth = 0;
+// Object URL of the loaded video file, revoked when another one is chosen
+let videoObjectUrl = null;
+// requestAnimationFrame handle of the sync loop while playback runs
+let syncFrameId = null;
+
+// Whether the user is currently dragging the timeline scrubber
+let isScrubbing = false;
+
+// The current search, lowercased ("" when not searching), and the listEntries
+// matching it, in list order. searchHitIndex is the hit selected with Prev/Next.
+let searchQuery = "";
+let searchHits = [];
+let searchHitIndex = -1;
+// setTimeout handle of a search waiting for the user to stop typing
+let searchTimeoutId = null;
+
+// Which entries are listed, as set in the filter panel; see readChatFilters()
+let chatFilters = readChatFilters();
+// setTimeout handle of a filter change waiting for the user to stop typing
+let filterTimeoutId = null;
+
+// The author shown in the author panel: { channelId, entries, shownCount }
+let authorPanelState = null;
+// Timeline entries of the message elements in the author panel
+let authorPanelEntries = new WeakMap();
+
+// Original URLs of the images saved for offline use (see chat-db.js)
+let savedImageUrls = new Set();
+// Promises of object URLs for saved images read so far, by original URL
+let savedImageSources = new Map();
+
+// setTimeout handle of a pending save of the library log's playback position
+let libraryPositionTimeoutId = null;
+
+// Time and message of a shared link, applied once the next log has loaded; see readDeepLink()
+let pendingDeepLink = null;
+// The entry the last shared link pointed to, highlighted in the list
+let linkedEntry = null;
+
+// The entry selected with the keyboard, see moveMessageFocus()
+let focusedEntry = null;
+
+// Settings of overlay mode, or null for the normal page; see readOverlaySettings()
+const overlaySettings = readOverlaySettings();
+// The overlay's message list and the entries shown in it, with their elements
+let overlayListElement = null;
+let overlayElements = new Map();
+// Where focus was before the author panel took it, to return it on close
+let authorPanelOpener = null;
+
+// Virtual playback clock, used instead of the video when none is loaded.
+// While playing, the position is derived from the time elapsed since `startedAt`.
+const playbackClock = {
+  positionMs: 0, // Position when last paused, seeked or re-rated
+  startedAt: 0, // performance.now() when the clock last started running
+  rate: 1,
+  playing: false,
+};
+
+if (overlaySettings) {
+  applyOverlayMode();
+}
+// Replaces the "JavaScript is blocked" notice, shown until this script runs
+chatContainer.classList.remove("no-script");
+setContent(
+  chatContainer,
+  createElement("p", {}, "Please load a YouTube chat replay JSON file or provide a URL.")
+);
 
 fileInput.addEventListener("change", handleFileSelect);
 loadUrlButton.addEventListener("click", handleUrlLoad);
+videoInput.addEventListener("change", handleVideoSelect);
+videoPlayer.addEventListener("play", startSyncLoop);
+videoPlayer.addEventListener("pause", stopSyncLoop);
+videoPlayer.addEventListener("ended", stopSyncLoop);
+videoPlayer.addEventListener("error", handleVideoError);
+// Seeking fires while paused too, so sync on it directly
+const syncChatAfterSeek = () => syncChatToPlayback({ scrollToLatest: true });
+videoPlayer.addEventListener("seeking", syncChatAfterSeek);
+videoPlayer.addEventListener("seeked", syncChatAfterSeek);
+videoPlayer.addEventListener("loadedmetadata", updatePlaybackControls);
+videoPlayer.addEventListener("ratechange", updatePlaybackControls);
+
+playPauseButton.addEventListener("click", togglePlayback);
+// "input" fires continuously while dragging, so the chat scrubs along
+timelineScrubber.addEventListener("input", () =>
+  seekPlayback(Number(timelineScrubber.value))
+);
+timelineScrubber.addEventListener("pointerdown", () => (isScrubbing = true));
+timelineScrubber.addEventListener("change", () => (isScrubbing = false));
+playbackRateSelect.addEventListener("change", () =>
+  setPlaybackRate(Number(playbackRateSelect.value))
+);
+jumpButton.addEventListener("click", handleJumpToTime);
+jumpToTimeInput.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") handleJumpToTime();
+});
+showDeletedToggle.addEventListener("change", applyChatFilters);
+copyLinkButton.addEventListener("click", () => copyDeepLink(getPlaybackTimeMs()));
+// Checkboxes fire "input" too, so one debounced listener covers the whole panel
+filterPanel.addEventListener("input", () => {
+  clearTimeout(filterTimeoutId);
+  filterTimeoutId = setTimeout(applyChatFilters, SEARCH_DEBOUNCE_MS);
+});
+resetFiltersButton.addEventListener("click", resetChatFilters);
+analyticsPanel.addEventListener("toggle", updateAnalyticsPanel);
+diagnosticsPanel.addEventListener("toggle", updateDiagnosticsPanel);
+exportButton.addEventListener("click", handleExport);
+saveImagesButton.addEventListener("click", saveLogImages);
+clearImagesButton.addEventListener("click", removeSavedImages);
+loadSavedImageUrls();
+saveToLibraryToggle.checked = localStorage.getItem(SAVE_TO_LIBRARY_SETTING) !== "false";
+saveToLibraryToggle.addEventListener("change", () =>
+  localStorage.setItem(SAVE_TO_LIBRARY_SETTING, String(saveToLibraryToggle.checked))
+);
+libraryPanel.addEventListener("toggle", () => {
+  if (libraryPanel.open) renderLibrary();
+});
+libraryList.addEventListener("click", handleLibraryClick);
+// Closing the page may come before the next scheduled save
+window.addEventListener("pagehide", saveLibraryPosition);
+renderLibrary();
+window.addEventListener("hashchange", openDeepLink);
+openDeepLink();
+document.addEventListener("keydown", handleShortcutKey);
+chatContainer.addEventListener("click", handleChatClick);
+chatContainer.addEventListener("focusin", handleChatFocus);
+authorPanelMessages.addEventListener("click", handleAuthorPanelClick);
+authorPanelMessages.addEventListener("keydown", (event) => {
+  if (event.key === "Enter") handleAuthorPanelClick(event);
+});
+authorPanelMoreButton.addEventListener("click", showMoreAuthorMessages);
+closeAuthorPanelButton.addEventListener("click", () => closeAuthorPanel({ restoreFocus: true }));
+searchInput.addEventListener("input", () => {
+  clearTimeout(searchTimeoutId);
+  searchTimeoutId = setTimeout(updateSearchResults, SEARCH_DEBOUNCE_MS);
+});
+searchInput.addEventListener("keydown", (event) => {
+  if (event.key !== "Enter") return;
+  // Don't make the user wait for the debounce before jumping
+  if (searchQuery !== normalizeSearchText(searchInput.value)) {
+    updateSearchResults();
+  }
+  goToSearchHit(event.shiftKey ? -1 : 1);
+});
+searchPrevButton.addEventListener("click", () => goToSearchHit(-1));
+searchNextButton.addEventListener("click", () => goToSearchHit(1));
+chatContainer.addEventListener("scroll", handleChatScroll);
+new ResizeObserver(handleChatResize).observe(chatContainer);
 
 /**
- * Handles the file selection event, reads the file, and initiates processing.
+ * Handles the file selection event, reads the file(s), and initiates processing.
+ * Files are streamed, so messages show up while the rest is still being read.
+ * Several files are merged into one log.
  * @param {Event} event - The file input change event.
  */
-function handleFileSelect(event) {
+async function handleFileSelect(event) {
+  const loadId = ++chatLoadCounter; // Supersedes any load still in progress
   progressBar.style.display = "none"; // Hide progress bar if file load is chosen
-  const file = event.target.files[0];
-  if (!file) {
+  const files = Array.from(event.target.files);
+  if (files.length === 0) {
     displayError("No file selected.");
     return;
   }
 
-  // Basic check, processing will handle actual content format
-  if (file.type !== "application/json" && !file.name.endsWith(".json")) {
-    console.warn(
-      `File type is not application/json (Type: ${file.type}), proceeding because of .json extension.`
+  // Basic check, processing will handle actual content format (and compression)
+  files.forEach((file) => {
+    if (file.type !== "application/json" && !CHAT_FILE_NAME_PATTERN.test(file.name)) {
+      console.warn(
+        `File type of ${file.name} is not application/json (Type: ${file.type}), proceeding anyway.`
+      );
+    }
+  });
+
+  // Display loading message while reading
+  displayInfo(files.length > 1 ? `Reading ${files.length} files...` : "Reading file...");
+  try {
+    await loadChatSources(
+      files.map((file) => ({ file })),
+      { loadId, statusLabel: files.length > 1 ? "Reading" : `Reading ${files[0].name}` }
     );
+  } catch (error) {
+    if (loadId !== chatLoadCounter) return; // Superseded; don't clobber the newer load
+    console.error("Error reading file:", error);
+    displayError("Error reading file.");
   }
+}
 
-  const reader = new FileReader();
+/**
+ * Handles the video file selection, loading it into the player and
+ * switching the chat into synced playback.
+ * @param {Event} event - The video file input change event.
+ */
+function handleVideoSelect(event) {
+  const file = event.target.files[0];
+  if (!file) return;
 
-  reader.onload = function (e) {
-    const rawText = e.target.result;
-    processChatData(rawText); // Call the refactored processing function
-  };
+  // The video takes over from the virtual clock
+  pauseClock();
+  stopSyncLoop();
+  if (videoObjectUrl) {
+    URL.revokeObjectURL(videoObjectUrl);
+  }
+  videoObjectUrl = URL.createObjectURL(file);
+  videoPlayer.src = videoObjectUrl;
+  videoPlayer.hidden = false;
+  videoStatus.textContent = "";
+  playbackControls.hidden = false;
+  videoPlayer.playbackRate = playbackClock.rate;
+
+  // Rewind the already loaded chat (if any) to the start of the new video
+  syncChatToPlayback();
+}
 
-  reader.onerror = function (e) {
-    console.error("Error reading file:", e);
-    displayError("Error reading file.");
+/**
+ * Handles a video that can't be played (e.g. an unsupported format) by
+ * dropping it, so the chat replays on the virtual clock again rather than
+ * following a video that never plays.
+ */
+function handleVideoError() {
+  if (!videoObjectUrl) return;
+  console.warn("Could not play the video:", videoPlayer.error);
+  URL.revokeObjectURL(videoObjectUrl);
+  videoObjectUrl = null;
+  videoPlayer.removeAttribute("src");
+  videoPlayer.hidden = true;
+  videoStatus.textContent = "This video can't be played here; the chat replays without it.";
+  stopSyncLoop();
+}
+
+/**
+ * Whether a video is loaded and the chat should follow its playback.
+ * @returns {boolean}
+ */
+function isVideoSyncActive() {
+  return Boolean(videoObjectUrl);
+}
+
+/**
+ * Gets the current playback position, from the video if one is loaded,
+ * otherwise from the virtual clock.
+ * @returns {number} The position in milliseconds.
+ */
+function getPlaybackTimeMs() {
+  if (isVideoSyncActive()) {
+    return videoPlayer.currentTime * 1000;
+  }
+  if (!playbackClock.playing) {
+    return playbackClock.positionMs;
+  }
+  const elapsedMs = performance.now() - playbackClock.startedAt;
+  return playbackClock.positionMs + elapsedMs * playbackClock.rate;
+}
+
+/**
+ * Gets the length of the replay: the video's duration, or the offset of the
+ * last chat message (or deletion) when there is no video (or it is shorter
+ * than the chat).
+ * @returns {number} The duration in milliseconds.
+ */
+function getPlaybackDurationMs() {
+  const lastMessageMs = Math.max(
+    chatTimeline.length ? chatTimeline[chatTimeline.length - 1].offsetMs : 0,
+    chatLoadState?.lastDeletionMs || 0
+  );
+  const videoMs =
+    isVideoSyncActive() && isFinite(videoPlayer.duration)
+      ? videoPlayer.duration * 1000
+      : 0;
+  return Math.max(lastMessageMs, videoMs, 0);
+}
+
+/**
+ * Whether playback (video or virtual clock) is currently running.
+ * @returns {boolean}
+ */
+function isPlaybackRunning() {
+  if (isVideoSyncActive()) {
+    return !videoPlayer.paused && !videoPlayer.ended;
+  }
+  return playbackClock.playing;
+}
+
+/**
+ * Toggles between playing and paused, for the video or the virtual clock.
+ */
+function togglePlayback() {
+  if (isVideoSyncActive()) {
+    if (videoPlayer.paused || videoPlayer.ended) {
+      videoPlayer.play();
+    } else {
+      videoPlayer.pause();
+    }
+    return;
+  }
+
+  if (playbackClock.playing) {
+    pauseClock();
+    stopSyncLoop();
+  } else {
+    // Restart from the beginning if the replay already reached the end
+    if (playbackClock.positionMs >= getPlaybackDurationMs()) {
+      playbackClock.positionMs = 0;
+    }
+    playbackClock.startedAt = performance.now();
+    playbackClock.playing = true;
+    startSyncLoop();
+  }
+}
+
+/**
+ * Freezes the virtual clock at its current position.
+ */
+function pauseClock() {
+  playbackClock.positionMs = getPlaybackTimeMs();
+  playbackClock.playing = false;
+}
+
+/**
+ * Moves playback to the given position, clamped to the replay's length.
+ * @param {number} timeMs - The target position in milliseconds.
+ */
+function seekPlayback(timeMs) {
+  const clampedMs = Math.min(Math.max(timeMs, 0), getPlaybackDurationMs());
+  if (isVideoSyncActive()) {
+    // The video's "seeking" event syncs the chat
+    videoPlayer.currentTime = clampedMs / 1000;
+    return;
+  }
+  playbackClock.positionMs = clampedMs;
+  playbackClock.startedAt = performance.now();
+  syncChatToPlayback({ scrollToLatest: true });
+}
+
+/**
+ * Changes the playback speed of the video or the virtual clock.
+ * @param {number} rate - The speed multiplier (e.g. 0.5 to 4).
+ */
+function setPlaybackRate(rate) {
+  if (!(rate > 0)) return;
+  if (isVideoSyncActive()) {
+    videoPlayer.playbackRate = rate;
+  }
+  // Re-anchor the running clock so the speed change doesn't jump the position
+  playbackClock.positionMs = getPlaybackTimeMs();
+  playbackClock.startedAt = performance.now();
+  playbackClock.rate = rate;
+  updatePlaybackControls();
+}
+
+/**
+ * Handles the "Jump" button, seeking to the timestamp typed by the user.
+ */
+function handleJumpToTime() {
+  const timeMs = parseTimestamp(jumpToTimeInput.value);
+  if (isNaN(timeMs)) {
+    jumpToTimeInput.setCustomValidity("Use a time like 1:23:45, 12:34 or 90.");
+    jumpToTimeInput.reportValidity();
+    return;
+  }
+  jumpToTimeInput.setCustomValidity("");
+  seekPlayback(timeMs);
+}
+
+/**
+ * Parses a user-entered timestamp ("h:mm:ss", "m:ss" or plain seconds).
+ * @param {string} text - The timestamp text.
+ * @returns {number} The time in milliseconds, or NaN if it can't be parsed.
+ */
+function parseTimestamp(text) {
+  const parts = text.trim().split(":");
+  if (parts.length > 3 || parts.some((part) => !/^\d+(\.\d+)?$/.test(part))) {
+    return NaN;
+  }
+  const seconds = parts.reduce((total, part) => total * 60 + Number(part), 0);
+  return seconds * 1000;
+}
+
+/**
+ * Formats a position as "h:mm:ss" (or "m:ss" under an hour), like YouTube does.
+ * @param {number} timeMs - The time in milliseconds.
+ * @returns {string} The formatted timestamp.
+ */
+function formatTimestamp(timeMs) {
+  const totalSeconds = Math.max(0, Math.floor(timeMs / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  if (hours > 0) {
+    return `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`;
+  }
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Updates the listed chat to the current playback position.
+ * Stops the virtual clock when it runs past the end of the replay.
+ * @param {Object} [options] - Passed on to syncChatToTime.
+ */
+function syncChatToPlayback(options) {
+  let timeMs = getPlaybackTimeMs();
+  const durationMs = getPlaybackDurationMs();
+  if (!isVideoSyncActive() && playbackClock.playing && timeMs >= durationMs) {
+    timeMs = durationMs;
+    playbackClock.positionMs = durationMs;
+    playbackClock.playing = false;
+    stopSyncLoop();
+  }
+  syncChatToTime(timeMs, options);
+  updatePlaybackControls();
+}
+
+/**
+ * Reflects the playback state (position, length, speed, play/pause) in the controls.
+ */
+function updatePlaybackControls() {
+  const timeMs = getPlaybackTimeMs();
+  const durationMs = getPlaybackDurationMs();
+  timelineScrubber.max = String(durationMs);
+  // Don't fight the user's drag: the "input" handler already set the value
+  if (!isScrubbing) {
+    timelineScrubber.value = String(timeMs);
+  }
+  playbackTimeLabel.textContent = `${formatTimestamp(timeMs)} / ${formatTimestamp(durationMs)}`;
+  playPauseButton.textContent = isPlaybackRunning() ? "Pause" : "Play";
+
+  const rate = isVideoSyncActive() ? videoPlayer.playbackRate : playbackClock.rate;
+  if (Number(playbackRateSelect.value) !== rate) {
+    playbackRateSelect.value = String(rate);
+  }
+  scheduleLibraryPositionSave();
+}
+
+/**
+ * Starts syncing the chat on every animation frame while playback runs.
+ * `timeupdate` only fires a few times per second, which makes chat lag visibly.
+ */
+function startSyncLoop() {
+  stopSyncLoop();
+  const tick = () => {
+    syncFrameId = requestAnimationFrame(tick);
+    syncChatToPlayback();
   };
+  tick();
+}
 
-  // Display loading message while reading
-  displayInfo("Reading file...");
-  reader.readAsText(file);
+/**
+ * Stops the per-frame sync loop, doing a final sync to the paused position.
+ */
+function stopSyncLoop() {
+  if (syncFrameId !== null) {
+    cancelAnimationFrame(syncFrameId);
+    syncFrameId = null;
+  }
+  syncChatToPlayback();
 }
 
 /**
  * Handles the click event for the "Load from URL" button.
  */
 async function handleUrlLoad() {
+  const loadId = ++chatLoadCounter; // Supersedes any load still in progress
   const url = urlInput.value.trim();
   const cleanName = decodeURI(url.split("/").pop());
   if (!url) {
@@ -69,181 +616,290 @@ async function handleUrlLoad() {
   displayInfo(`Requesting data from ${cleanName}...`);
 
   try {
-    const response = await fetch(url);
-
-    if (!response.ok) {
-      // Handle HTTP errors (like 404 Not Found, 500 Internal Server Error)
-      throw new Error(
-        `HTTP error! Status: ${response.status} ${response.statusText}`
-      );
-    }
-
-    // Check for Content-Length header to enable determinate progress
-    const contentLength = response.headers.get('Content-Length');
-    const totalBytes = parseInt(contentLength, 10);
-    let receivedBytes = 0;
-    const chunks = []; // Array to store received chunks
-
-    // --- Prepare for reading the response body ---
-    if (!response.body) {
-      throw new Error("Response body is not available.");
-    }
-    const reader = response.body.getReader();
-
-    // --- Show progress bar ---
-    // If Content-Length is available and valid, set up determinate progress
-    if (!isNaN(totalBytes) && totalBytes > 0) {
-        console.log(`Total size: ${totalBytes} bytes. Starting download...`);
-        progressBar.max = totalBytes;
-        progressBar.value = 0;
-        progressBar.style.display = 'block';
-        // Update info message
-        displayInfo(`Downloading data from ${cleanName}... (0%)`);
-    } else {
-        // Otherwise, use indeterminate progress
-        console.log("Content-Length not available or invalid. Using indeterminate progress.");
-        progressBar.removeAttribute("value"); // Ensure it's indeterminate
-        progressBar.style.display = 'block';
-        // Update info message
-        displayInfo(`Downloading data from ${cleanName}...`);
+    // Resolve relative URLs against the page, not the worker script
+    let absoluteUrl = url;
+    try {
+      absoluteUrl = new URL(url, document.baseURI).href;
+    } catch {
+      // Not a URL the page can resolve; let fetch report it
     }
 
-    // --- Read the stream ---
-    while (true) {
-        const { done, value } = await reader.read();
-
-        if (done) {
-            break; // Stream finished
-        }
-
-        chunks.push(value); // Store the chunk (Uint8Array)
-        receivedBytes += value.length;
-
-        // Update determinate progress bar if applicable
-        if (!isNaN(totalBytes) && totalBytes > 0) {
-            progressBar.value = receivedBytes;
-            const percent = Math.round((receivedBytes / totalBytes) * 100);
-            // Update info message with percentage (optional, can be spammy for many small chunks)
-            // Throttle this update if needed for performance
-             displayInfo(`Downloading data from ${cleanName}... (${percent}%)`);
-        }
-        // No update needed for indeterminate bar here
-    }
-
-    // --- All chunks received, combine and decode ---
-    progressBar.style.display = 'none'; // Hide progress bar before processing
-    displayInfo("Download complete. Processing data...");
-
-    // Concatenate chunks into a single Uint8Array
-    const allChunks = new Uint8Array(receivedBytes);
-    let position = 0;
-    for (const chunk of chunks) {
-      allChunks.set(chunk, position);
-      position += chunk.length;
-    }
-
-    // Decode the Uint8Array into a string
-    const rawText = new TextDecoder("utf-8").decode(allChunks);
-
-    // --- Process the data ---
-    processChatData(rawText);
-
+    // --- Download, parse and display the stream as it arrives ---
+    await loadChatSources(
+      [{ url: absoluteUrl }],
+      { loadId, statusLabel: `Downloading data from ${cleanName}` }
+    );
   } catch (error) {
+    if (loadId !== chatLoadCounter) return; // Superseded; don't clobber the newer load
     console.error("Error fetching or processing URL:", error);
     // Hide progress bar on error
     progressBar.style.display = "none";
-    let userMessage = `Error loading from URL: ${error.message}`;
-    userMessage +=
-      "<br> The source may be down, or you are blocking it. <br>";
+    let hint = "";
     // Specifically check for network errors which might indicate CORS issues
     if (error instanceof TypeError && error.message === "Failed to fetch") {
-      userMessage +=
-        " This might be a network issue or a CORS (Cross-Origin Resource Sharing) problem. The server hosting the URL must allow requests from this page.";
+      hint =
+        "This might be a network issue or a CORS (Cross-Origin Resource Sharing) problem. The server hosting the URL must allow requests from this page. ";
     }
-    displayError(userMessage + " Check console for more details.");
+    displayError([
+      `Error loading from URL: ${error.message}`,
+      createElement("br"),
+      "The source may be down, or you are blocking it.",
+      createElement("br"),
+      `${hint}Check console for more details.`,
+    ]);
   }
 }
 
 /**
- * Processes the raw chat data string (from file or URL).
- * Parses JSON, extracts actions, and displays messages.
- * @param {string} rawText - The raw text content (expected to be JSON).
+ * Loads one or more chat sources (files or URLs) as one log, parsing them in a
+ * Web Worker so the page stays responsive, and displays their messages batch by
+ * batch as they arrive. Sources are read one after the other and merged by
+ * video offset; messages found in several of them are listed once.
+ * Falls back to parsing on the page where workers are unavailable (e.g. some
+ * browsers block them for pages opened from file://).
+ * Errors reading a source are thrown; errors in the data itself are displayed.
+ * @param {Array<{file: File}|{url: string}>} sources - Local files or URLs to download.
+ * @param {Object} options
+ * @param {number} options.loadId - The chatLoadCounter value of this load; the
+ *   load stops as soon as a newer one starts.
+ * @param {string} options.statusLabel - What is happening, e.g. "Reading chat.json".
+ * @returns {Promise<void>}
  */
-function processChatData(rawText) {
-  let processedText = ""; // Define outside try for error reporting
+async function loadChatSources(sources, { loadId, statusLabel }) {
+  cancelChatParsing();
+  const sourceDescriptions = sources.map((source) =>
+    source.file ? source.file.name : source.url
+  );
+  const sourceName = getSourceName(sourceDescriptions[0]);
+  const startLoad = () => {
+    startChatLoad(sourceName, { source: sourceDescriptions.join(", ") });
+    updateChatSummary(`${statusLabel}...`);
+  };
+  startLoad();
+
   try {
-    processedText = rawText.trim();
+    for (const [index, source] of sources.entries()) {
+      const sourceLabel =
+        sources.length > 1
+          ? `${statusLabel} ${getSourceName(sourceDescriptions[index])} (${index + 1} of ${sources.length})`
+          : statusLabel;
+      const alignment = { shiftMs: null };
+      const callbacks = {
+        onProgress: (progress) => showLoadProgress(progress, sourceLabel),
+        onBatch: (batch) => {
+          alignBatchToLog(batch, alignment);
+          if (sources.length > 1) {
+            // Line numbers are per file, so say which one
+            batch.problems.forEach((problem) => {
+              problem.source = getSourceName(sourceDescriptions[index]);
+            });
+          }
+          addChatMessages(batch);
+        },
+        isCancelled: () => loadId !== chatLoadCounter,
+      };
 
-    if (!processedText) {
-      displayError("Received data is empty.");
+      let parsedInWorker = false;
+      if (!workerUnavailable) {
+        try {
+          await parseInWorker(source, callbacks);
+          parsedInWorker = true;
+        } catch (error) {
+          if (error.phase !== "worker") throw error;
+          console.warn("Parser worker unavailable, parsing on the page:", error);
+          workerUnavailable = true;
+          // Nothing was parsed yet, but start from a clean slate
+          if (index === 0) startLoad();
+        }
+      }
+      if (!parsedInWorker) {
+        const completed = await readChatSource(source, callbacks);
+        if (!completed) return;
+      }
+      mergePendingEntries(); // Lists each source's messages once it is read
+    }
+  } catch (error) {
+    if (loadId !== chatLoadCounter) return; // Cancelled by a newer load
+    if (error.phase === "process") {
+      displayProcessingError(error);
       return;
     }
+    throw error;
+  }
 
-    // --- Preprocessing for Concatenated or Single JSON Objects ---
-    // Check if the text is already a valid JSON array
-    const isLikelyValidArray =
-      processedText.startsWith("[") && processedText.endsWith("]");
+  if (loadId !== chatLoadCounter) return;
+  progressBar.style.display = "none";
+  finishChatLoad();
+}
 
-    if (!isLikelyValidArray) {
-      // Assume it's NOT a valid array (could be single object or concatenated)
-      // Apply the fix: replace separators and wrap in brackets.
-      console.log(
-        "Applying preprocessing for concatenated/single JSON object format."
-      );
-      processedText = processedText.replace(/}\s*{/g, "},{"); // Replace separators
-      processedText = "[" + processedText + "]"; // Wrap in array brackets
-    }
-    // --- End Preprocessing ---
-
-    // Now parse the potentially modified string
-    const chatDataArray = JSON.parse(processedText);
-    console.log("JSON parsing successful. Parsed items:", chatDataArray.length);
-
-    // --- Data Extraction ---
-    // Flatten the array of actions from all top-level items
-    let chatActions = [];
-    if (Array.isArray(chatDataArray)) {
-      chatActions = chatDataArray.flatMap(
-        (item) =>
-          item?.replayChatItemAction?.actions ||
-          item?.continuationContents?.liveChatContinuation?.actions ||
-          []
-      );
-      console.log(`Extracted ${chatActions.length} actions total.`);
-    } else {
-      // Should not happen with preprocessing, but acts as a safeguard
-      throw new Error("Internal error: Processed data is not an array.");
+/**
+ * Shifts the offsets of a batch from one of several merged sources onto the
+ * log's clock, i.e. that of the first source with timestamped messages.
+ * Sources recorded against the same video already share it; others (e.g. the
+ * chat of a restream) are aligned by their messages' timestamps.
+ * Batches before a source's first timestamped one are left as they are.
+ * @param {Object} batch - The batch, see chat-parser.js; modified in place.
+ * @param {{shiftMs: ?number}} alignment - The source's shift, null until known.
+ */
+function alignBatchToLog(batch, alignment) {
+  if (alignment.shiftMs === null) {
+    const originMs = getBatchClockOriginMs(batch);
+    if (isNaN(originMs)) return; // Nothing to align by yet
+    if (isNaN(chatLoadState.clockOriginMs)) {
+      chatLoadState.clockOriginMs = originMs;
     }
+    const shiftMs = originMs - chatLoadState.clockOriginMs;
+    alignment.shiftMs =
+      Math.abs(shiftMs) > SOURCE_ALIGNMENT_TOLERANCE_MS ? Math.round(shiftMs) : 0;
+  }
+  if (alignment.shiftMs !== 0) {
+    batch.messages.forEach((message) => (message.offsetMs += alignment.shiftMs));
+  }
+}
+
+/**
+ * Estimates when a batch's video offset 0 was in wall-clock time, as the median
+ * over its messages of timestamp minus offset.
+ * @param {Object} batch - The batch, see chat-parser.js.
+ * @returns {number} The time in ms since the epoch, or NaN without timestamps.
+ */
+function getBatchClockOriginMs(batch) {
+  const origins = [];
+  batch.messages.forEach((message) => {
+    const timestampUsec = Number(message.item && Object.values(message.item)[0]?.timestampUsec);
+    if (timestampUsec > 0) origins.push(timestampUsec / 1000 - message.offsetMs);
+  });
+  if (origins.length === 0) return NaN;
+  origins.sort((a, b) => a - b);
+  return origins[Math.floor(origins.length / 2)];
+}
 
-    if (!Array.isArray(chatActions)) {
-      // Should not happen with flatMap, but acts as a safeguard
-      throw new Error("Internal error: chatActions is not an array.");
+/**
+ * Runs readChatSource in a new parser worker (chat-worker.js), relaying its
+ * messages to the callbacks. Only one worker runs at a time; see cancelChatParsing().
+ * @param {{file: File}|{url: string}} source - A local file or a URL to download.
+ * @param {Object} callbacks - `onProgress`, `onBatch` and `isCancelled`, as for readChatSource.
+ * @returns {Promise<void>} Resolves when the whole source has been parsed. Rejects
+ *   with the worker's error (with its `phase`), with `phase` "worker" if the
+ *   worker couldn't start, or "cancelled" if it was cancelled.
+ */
+function parseInWorker(source, { onProgress, onBatch, isCancelled }) {
+  return new Promise((resolve, reject) => {
+    const fail = (message, name, phase) => {
+      // Recreate the error's type, e.g. so network errors stay recognizable in handleUrlLoad
+      const ErrorType = { SyntaxError, TypeError }[name] || Error;
+      const error = new ErrorType(message);
+      error.phase = phase;
+      reject(error);
+    };
+
+    let worker;
+    try {
+      worker = new Worker("chat-worker.js");
+    } catch (error) {
+      fail(error.message, error.name, "worker");
+      return;
     }
 
-    // Filter and process the actions
-    displayChatMessages(chatActions);
-  } catch (error) {
-    console.error("Error during data processing:", error);
-    // Log relevant info for debugging, if needed
-    // console.error("Raw text snippet (first 500 chars):", rawText.substring(0, 500));
-    // console.error("Processed text snippet (first 100 chars):", processedText.substring(0, 100));
+    let started = false;
+    activeChatWorker = { worker, cancel: () => fail("Load cancelled.", "Error", "cancelled") };
+    worker.onmessage = (event) => {
+      const message = event.data;
+      started = true;
+      if (isCancelled()) {
+        cancelChatParsing();
+      } else if (message.type === "progress") {
+        onProgress(message);
+      } else if (message.type === "batch") {
+        onBatch(message.batch);
+      } else if (message.type === "done") {
+        resolve(); // Settle first: cancelling afterwards is then a no-op
+        cancelChatParsing();
+      } else if (message.type === "error") {
+        fail(message.message, message.name, message.phase);
+        cancelChatParsing();
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      // Failing before any message means the worker script itself didn't load
+      fail(event.message || "Parser worker failed.", "Error", started ? "process" : "worker");
+      cancelChatParsing();
+    };
+    worker.postMessage({ source });
+  });
+}
 
-    let userMessage = `Error processing data: ${error.message}.`;
-    if (error instanceof SyntaxError) {
-      userMessage = `Error parsing JSON: ${error.message}. The data might be corrupted or have an unexpected format.`;
-    }
-    // Ensure progress bar is hidden if error happens during processing too
-    if (progressBar) progressBar.style.display = "none";
-    displayError(userMessage + " Check console for more details.");
+/**
+ * Stops the parser worker of a load in progress, if any.
+ */
+function cancelChatParsing() {
+  if (!activeChatWorker) return;
+  const { worker, cancel } = activeChatWorker;
+  activeChatWorker = null;
+  worker.terminate();
+  cancel(); // Settles the pending load; a no-op if it already finished
+}
+
+/**
+ * Shows load progress in the progress bar and the chat summary.
+ * @param {{receivedBytes: number, totalBytes: number, actionCount: number}} progress
+ * @param {string} statusLabel - What is happening, e.g. "Reading chat.json".
+ */
+function showLoadProgress({ receivedBytes, totalBytes, actionCount }, statusLabel) {
+  progressBar.style.display = "block";
+  if (!isNaN(totalBytes) && totalBytes > 0) {
+    progressBar.max = totalBytes;
+    progressBar.value = receivedBytes;
+    const percent = Math.round((receivedBytes / totalBytes) * 100);
+    updateChatSummary(`${statusLabel}... (${percent}%, ${actionCount} actions parsed)`);
+  } else {
+    progressBar.removeAttribute("value"); // Indeterminate without a known size
+    updateChatSummary(`${statusLabel}... (${actionCount} actions parsed)`);
+  }
+}
+
+/**
+ * Displays an error that occurred while parsing or processing chat data.
+ * @param {Error} error - The error thrown during processing.
+ */
+function displayProcessingError(error) {
+  console.error("Error during data processing:", error);
+
+  let userMessage = `Error processing data: ${error.message}.`;
+  if (error instanceof SyntaxError) {
+    userMessage = `Error parsing JSON: ${error.message}. The data might be corrupted or have an unexpected format.`;
   }
+  // Ensure progress bar is hidden if error happens during processing too
+  if (progressBar) progressBar.style.display = "none";
+  displayError(userMessage + " Check console for more details.");
+}
+
+/**
+ * Has screen readers announce a message, e.g. a status change shown elsewhere
+ * on the page (the chat container itself isn't a live region, as it changes
+ * constantly during replay).
+ * @param {string} message - The message.
+ * @param {Object} [options]
+ * @param {boolean} [options.urgent=false] - Interrupt the screen reader, for errors.
+ */
+function announce(message, { urgent = false } = {}) {
+  const region = urgent ? liveAlert : liveStatus;
+  region.textContent = "";
+  setTimeout(() => {
+    region.textContent = message;
+  }, ANNOUNCE_DELAY_MS);
 }
 
 /**
  * Displays an error message in the chat container.
- * @param {string} message - The error message text.
+ * @param {string|Array<Node|string>} message - The error message text, or its
+ *   parts (e.g. text and line breaks), as for setContent.
  */
 function displayError(message) {
-  chatContainer.innerHTML = `<p class="error">${message}</p>`;
+  clearChatTimeline();
+  setContent(chatContainer, createElement("p", { className: "error" }, message));
+  announce(chatContainer.textContent, { urgent: true });
   // Ensure progress bar is hidden when displaying an error
   if (progressBar) progressBar.style.display = "none";
 }
@@ -253,12 +909,10 @@ function displayError(message) {
  * @param {string} message - The warning message text.
  */
 function displayWarning(message) {
-  // Prepend warning to allow content loading afterwards if needed
-  const warningElement = document.createElement("p");
-  warningElement.classList.add("warning");
-  warningElement.textContent = message;
-  chatContainer.innerHTML = ""; // Clear previous content before adding warning
-  chatContainer.appendChild(warningElement);
+  // Replaces previous content; content loading afterwards is added below it
+  clearChatTimeline();
+  setContent(chatContainer, createElement("p", { className: "warning" }, message));
+  announce(message, { urgent: true });
   // No need to hide progress bar here, it's shown *after* this potential warning
 }
 
@@ -273,11 +927,14 @@ function displayInfo(message) {
   if (existingInfo) {
       if (existingInfo.textContent !== message) {
           existingInfo.textContent = message;
+          announce(message);
       }
   } else {
       // If no info paragraph exists, clear container and add a new one
       // (This typically happens on the first call or after an error/warning)
-      chatContainer.innerHTML = `<p class="info">${message}</p>`;
+      clearChatTimeline();
+      setContent(chatContainer, createElement("p", { className: "info" }, message));
+      announce(message);
   }
   // Keep progress bar visible while info (like "Loading...") is shown
 }
@@ -299,13 +956,14 @@ function processMessageRuns(runs, targetElement) {
       const emoji = run.emoji;
       const img = document.createElement("img");
       img.classList.add("chat-emoji");
-      img.src = emoji.image?.thumbnails?.[0]?.url || ""; // Use smallest thumbnail
+      const imageUrl = emoji.image?.thumbnails?.[0]?.url || ""; // Use smallest thumbnail
       const altText =
         emoji.accessibility?.accessibilityData?.label ||
         emoji.shortcuts?.[0] ||
         "emoji";
       img.alt = altText;
       img.title = altText; // Tooltip on hover
+      img.dataset.shortcuts = (emoji.shortcuts || []).join(" "); // Matched by search
 
       img.onerror = () => {
         // Fallback if image fails to load: display alt text
@@ -314,7 +972,8 @@ function processMessageRuns(runs, targetElement) {
       };
 
       // Only append if src is valid; otherwise, use fallback directly
-      if (img.src) {
+      if (imageUrl) {
+        setImageSource(img, imageUrl);
         targetElement.appendChild(img);
       } else {
         targetElement.appendChild(document.createTextNode(`[${altText}]`));
@@ -325,209 +984,2767 @@ function processMessageRuns(runs, targetElement) {
 }
 
 /**
- * Displays the processed chat messages in the chat container.
- * Clears previous content before displaying.
- * @param {Array} actions - The array of chat actions to display.
+ * Builds the DOM element for a single chat item.
+ * @param {Object} item - The `item` of an `addChatItemAction`.
+ * @param {number} [offsetMs] - The item's video offset, shown when it has no timestamp text.
+ * @returns {HTMLElement|null} The message element, or null for unhandled item types.
  */
-function displayChatMessages(actions) {
-  // Ensure progress bar is hidden when messages are finally displayed
-  if (progressBar) progressBar.style.display = "none";
-  chatContainer.innerHTML = ""; // Clear previous content (like loading message)
-  let messageCount = 0;
-  let skippedTickerCount = 0;
-  let skippedOtherActionCount = 0;
-  let skippedOtherItemCount = 0;
-
-  if (!actions || actions.length === 0) {
-    // Handle case where parsing was successful but no actions were found/extracted
-    chatContainer.innerHTML =
-      "<p>No chat actions found in the provided data.</p>";
-    return;
+function createChatItemElement(item, offsetMs) {
+  const rendererName = getDisplayedRendererName(item);
+  if (!rendererName) return null; // Skip item types we don't handle
+  const messageTypeClass = DISPLAYED_ITEM_RENDERERS[rendererName].className;
+
+  const textRenderer = item.liveChatTextMessageRenderer;
+  const memberRenderer = item.liveChatMembershipItemRenderer;
+  const paidRenderer = item.liveChatPaidMessageRenderer; // Super Chat
+  const stickerRenderer = item.liveChatPaidStickerRenderer; // Super Sticker
+  const giftPurchaseRenderer =
+    item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer; // "Gifted 5 memberships"
+  const giftRedemptionRenderer =
+    item.liveChatSponsorshipsGiftRedemptionAnnouncementRenderer; // "Received a gift membership"
+  const engagementRenderer = item.liveChatViewerEngagementMessageRenderer; // Chat rules, poll results
+  const modeChangeRenderer = item.liveChatModeChangeMessageRenderer; // Slow mode, members-only...
+
+  if (engagementRenderer) {
+    return createSystemMessageElement({
+      iconType: engagementRenderer.icon?.iconType,
+      textRuns: engagementRenderer.message?.runs,
+      offsetMs,
+      messageTypeClass,
+    });
+  }
+  if (modeChangeRenderer) {
+    return createSystemMessageElement({
+      iconType: modeChangeRenderer.icon?.iconType,
+      textRuns: modeChangeRenderer.text?.runs,
+      subtextRuns: modeChangeRenderer.subtext?.runs,
+      offsetMs,
+      messageTypeClass,
+    });
+  }
+  // The gifter's details live in the header, not the renderer itself
+  const rendererData = giftPurchaseRenderer
+    ? giftPurchaseRenderer.header?.liveChatSponsorshipsHeaderRenderer || {}
+    : item[rendererName];
+
+  // --- Common Data Extraction ---
+  const authorPhotoUrl =
+    rendererData.authorPhoto?.thumbnails?.[0]?.url || "placeholder.png";
+  const timestampText =
+    rendererData.timestampText?.simpleText || formatOffsetTimestamp(offsetMs);
+  const authorNameText =
+    rendererData.authorName?.simpleText || "[unknown author]";
+  const authorBadges = rendererData.authorBadges || [];
+  // Gift purchases keep the channel ID on the renderer, not in the header
+  const authorChannelId =
+    rendererData.authorExternalChannelId ||
+    giftPurchaseRenderer?.authorExternalChannelId;
+
+  // --- Element Creation ---
+  const messageElement = document.createElement("div");
+  messageElement.classList.add("chat-message");
+  if (messageTypeClass) {
+    messageElement.classList.add(messageTypeClass);
+  }
+  if (paidRenderer || stickerRenderer) {
+    applyPaidMessageColors(messageElement, rendererData);
   }
 
-  actions.forEach((action) => {
-    // Determine the type of action
-    const addChatItemAction = action?.addChatItemAction;
-    const addTickerItemAction = action?.addLiveChatTickerItemAction;
-
-    if (addChatItemAction) {
-      const item = addChatItemAction.item;
-      if (!item) {
-        // This indicates a data structure issue
-        console.warn(
-          "Found addChatItemAction without an item.",
-          addChatItemAction
-        );
-        skippedOtherActionCount++; // Count as a skipped action/item problem
-        return;
-      }
-
-      // Determine the type of chat item renderer
-      const textRenderer = item.liveChatTextMessageRenderer;
-      const memberRenderer = item.liveChatMembershipItemRenderer;
-      // const paidRenderer = item.liveChatPaidMessageRenderer; // Example for Super Chat
-      // Add other renderers here as needed
-
-      let rendererData = null;
-      let messageTypeClass = ""; // Optional CSS class for styling specific types
-
-      // Assign the correct renderer data and class
-      if (textRenderer) {
-        rendererData = textRenderer;
-        // messageTypeClass = 'chat-text-message'; // Uncomment if specific styling is needed
-      } else if (memberRenderer) {
-        rendererData = memberRenderer;
-        messageTypeClass = "chat-membership-message";
-      }
-      // else if (paidRenderer) { rendererData = paidRenderer; messageTypeClass = 'chat-paid-message'; }
-      else {
-        // Skip item types we don't explicitly handle
-        skippedOtherItemCount++;
-        // console.log("Skipping unhandled item type:", Object.keys(item)[0]); // Uncomment for debugging
-        return;
-      }
-
-      messageCount++;
-
-      // --- Common Data Extraction ---
-      const authorPhotoUrl =
-        rendererData.authorPhoto?.thumbnails?.[0]?.url || "placeholder.png";
-      const timestampText =
-        rendererData.timestampText?.simpleText || "[no time]";
-      const authorNameText =
-        rendererData.authorName?.simpleText || "[unknown author]";
-      const authorBadges = rendererData.authorBadges || [];
-
-      // --- Element Creation ---
-      const messageElement = document.createElement("div");
-      messageElement.classList.add("chat-message");
-      if (messageTypeClass) {
-        messageElement.classList.add(messageTypeClass);
-      }
+  // 1. Author Photo
+  const authorImg = document.createElement("img");
+  setImageSource(authorImg, authorPhotoUrl);
+  authorImg.alt = ""; // The author's name follows
+  authorImg.classList.add("author-photo");
+  authorImg.onerror = () => {
+    authorImg.src = "placeholder.png";
+  };
+  messageElement.appendChild(authorImg);
+
+  // 2. Message Content container
+  const contentDiv = document.createElement("div");
+  contentDiv.classList.add("message-content");
+
+  // 2a. Message Header (Timestamp, Author, Badges)
+  const headerDiv = document.createElement("div");
+  headerDiv.classList.add("message-header");
+
+  const timeSpan = document.createElement("span");
+  timeSpan.classList.add("timestamp");
+  timeSpan.textContent = timestampText;
+  headerDiv.appendChild(timeSpan);
+
+  const nameSpan = document.createElement("span");
+  nameSpan.classList.add("author-name");
+  nameSpan.textContent = authorNameText;
+  if (authorChannelId) {
+    nameSpan.dataset.channelId = authorChannelId; // Clicking opens the author panel
+    nameSpan.title = "Show all messages of this author";
+  }
+  headerDiv.appendChild(nameSpan);
+
+  authorBadges.forEach((badgeItem) => {
+    const badgeRenderer = badgeItem?.liveChatAuthorBadgeRenderer;
+    if (badgeRenderer?.customThumbnail?.thumbnails?.[0]?.url) {
+      const badgeImg = document.createElement("img");
+      setImageSource(badgeImg, badgeRenderer.customThumbnail.thumbnails[0].url);
+      badgeImg.alt = badgeRenderer.tooltip || "Badge";
+      badgeImg.title = badgeRenderer.tooltip || "Badge";
+      badgeImg.classList.add("author-badge");
+      badgeImg.onerror = () => {
+        badgeImg.style.display = "none";
+      }; // Hide if badge image fails
+      headerDiv.appendChild(badgeImg);
+    }
+  });
 
-      // 1. Author Photo
-      const authorImg = document.createElement("img");
-      authorImg.src = authorPhotoUrl;
-      authorImg.alt = "Author";
-      authorImg.classList.add("author-photo");
-      authorImg.onerror = () => {
-        authorImg.src = "placeholder.png";
-        authorImg.alt = "Default Avatar";
+  // Super Chats and Super Stickers show the purchase amount next to the author
+  if (rendererData.purchaseAmountText?.simpleText) {
+    const amountSpan = document.createElement("span");
+    amountSpan.classList.add("purchase-amount");
+    amountSpan.textContent = rendererData.purchaseAmountText.simpleText;
+    headerDiv.appendChild(amountSpan);
+  }
+  contentDiv.appendChild(headerDiv);
+
+  // 2b. Message Body (Processed based on renderer type)
+  const bodyDiv = document.createElement("div");
+  bodyDiv.classList.add("message-body");
+
+  if (textRenderer) {
+    processMessageRuns(textRenderer.message?.runs, bodyDiv);
+  } else if (memberRenderer) {
+    // Handle specific structure of membership messages
+    if (memberRenderer.headerPrimaryText?.runs) {
+      const primaryHeader = document.createElement("span");
+      primaryHeader.classList.add("membership-header-primary");
+      processMessageRuns(
+        memberRenderer.headerPrimaryText.runs,
+        primaryHeader
+      );
+      bodyDiv.appendChild(primaryHeader);
+    }
+    if (memberRenderer.headerSubtext?.simpleText) {
+      const subHeader = document.createElement("span");
+      subHeader.classList.add("membership-header-subtext");
+      subHeader.textContent = memberRenderer.headerSubtext.simpleText;
+      bodyDiv.appendChild(subHeader);
+    }
+    // Membership items can also have a 'message' part (e.g., welcome emojis)
+    if (memberRenderer.message?.runs) {
+      processMessageRuns(memberRenderer.message.runs, bodyDiv);
+    }
+  } else if (paidRenderer) {
+    // The message is optional: a Super Chat can be just an amount
+    if (paidRenderer.message?.runs) {
+      processMessageRuns(paidRenderer.message.runs, bodyDiv);
+    }
+  } else if (stickerRenderer) {
+    const stickerUrl = getLargestThumbnailUrl(stickerRenderer.sticker);
+    const stickerLabel =
+      stickerRenderer.sticker?.accessibility?.accessibilityData?.label ||
+      "Super Sticker";
+    if (stickerUrl) {
+      const stickerImg = document.createElement("img");
+      stickerImg.classList.add("chat-sticker");
+      setImageSource(stickerImg, stickerUrl);
+      stickerImg.alt = stickerLabel;
+      stickerImg.title = stickerLabel;
+      stickerImg.onerror = () => {
+        stickerImg.replaceWith(document.createTextNode(`[${stickerLabel}]`));
       };
-      messageElement.appendChild(authorImg);
-
-      // 2. Message Content container
-      const contentDiv = document.createElement("div");
-      contentDiv.classList.add("message-content");
-
-      // 2a. Message Header (Timestamp, Author, Badges)
-      const headerDiv = document.createElement("div");
-      headerDiv.classList.add("message-header");
-
-      const timeSpan = document.createElement("span");
-      timeSpan.classList.add("timestamp");
-      timeSpan.textContent = timestampText;
-      headerDiv.appendChild(timeSpan);
-
-      const nameSpan = document.createElement("span");
-      nameSpan.classList.add("author-name");
-      nameSpan.textContent = authorNameText;
-      headerDiv.appendChild(nameSpan);
-
-      authorBadges.forEach((badgeItem) => {
-        const badgeRenderer = badgeItem?.liveChatAuthorBadgeRenderer;
-        if (badgeRenderer?.customThumbnail?.thumbnails?.[0]?.url) {
-          const badgeImg = document.createElement("img");
-          badgeImg.src = badgeRenderer.customThumbnail.thumbnails[0].url;
-          badgeImg.alt = badgeRenderer.tooltip || "Badge";
-          badgeImg.title = badgeRenderer.tooltip || "Badge";
-          badgeImg.classList.add("author-badge");
-          badgeImg.onerror = () => {
-            badgeImg.style.display = "none";
-          }; // Hide if badge image fails
-          headerDiv.appendChild(badgeImg);
-        }
-      });
-      contentDiv.appendChild(headerDiv);
-
-      // 2b. Message Body (Processed based on renderer type)
-      const bodyDiv = document.createElement("div");
-      bodyDiv.classList.add("message-body");
-
-      if (textRenderer) {
-        processMessageRuns(textRenderer.message?.runs, bodyDiv);
-      } else if (memberRenderer) {
-        // Handle specific structure of membership messages
-        if (memberRenderer.headerPrimaryText?.runs) {
-          const primaryHeader = document.createElement("span");
-          primaryHeader.classList.add("membership-header-primary");
-          processMessageRuns(
-            memberRenderer.headerPrimaryText.runs,
-            primaryHeader
-          );
-          bodyDiv.appendChild(primaryHeader);
-        }
-        if (memberRenderer.headerSubtext?.simpleText) {
-          const subHeader = document.createElement("span");
-          subHeader.classList.add("membership-header-subtext");
-          subHeader.textContent = memberRenderer.headerSubtext.simpleText;
-          bodyDiv.appendChild(subHeader);
-        }
-        // Membership items can also have a 'message' part (e.g., welcome emojis)
-        if (memberRenderer.message?.runs) {
-          processMessageRuns(memberRenderer.message.runs, bodyDiv);
-        }
-      }
-      // else if (paidRenderer) { /* Process super chat body */ }
-
-      contentDiv.appendChild(bodyDiv);
-      messageElement.appendChild(contentDiv);
-      chatContainer.appendChild(messageElement); // Add the complete message element
-    } else if (addTickerItemAction) {
-      // Silently skip ticker items, just count them
-      skippedTickerCount++;
+      bodyDiv.appendChild(stickerImg);
     } else {
-      // Skip other action types we don't handle
-      skippedOtherActionCount++;
-      // console.log("Skipping unhandled action type:", Object.keys(action)[0]); // Uncomment for debugging
+      bodyDiv.textContent = `[${stickerLabel}]`;
     }
-  });
+  } else if (giftPurchaseRenderer) {
+    processMessageRuns(rendererData.primaryText?.runs, bodyDiv);
+    const giftImageUrl = getLargestThumbnailUrl(rendererData.image);
+    if (giftImageUrl) {
+      const giftImg = document.createElement("img");
+      giftImg.classList.add("chat-gift-image");
+      setImageSource(giftImg, giftImageUrl);
+      giftImg.alt = "";
+      giftImg.onerror = () => giftImg.remove();
+      bodyDiv.appendChild(giftImg);
+    }
+  } else if (giftRedemptionRenderer) {
+    processMessageRuns(giftRedemptionRenderer.message?.runs, bodyDiv);
+  }
 
-  // --- Summary Message ---
-  const summary = document.createElement("p");
-  let summaryText;
+  contentDiv.appendChild(bodyDiv);
+  messageElement.appendChild(contentDiv);
+  return messageElement;
+}
 
-  // Adjust summary logic slightly for clarity
-  if (
-    messageCount === 0 &&
-    (skippedTickerCount > 0 ||
-      skippedOtherActionCount > 0 ||
-      skippedOtherItemCount > 0)
-  ) {
-    summaryText = `Processed data, but found no displayable messages.`;
-  } else if (messageCount === 0 && actions.length === 0) {
-    // This state should be caught earlier, but acts as a fallback
-    summaryText = `No chat actions found in the provided data.`;
-  } else {
-    summaryText = `Displayed ${messageCount} messages.`;
+/**
+ * Icons shown for the `iconType` of system messages and banners.
+ */
+const SYSTEM_MESSAGE_ICONS = {
+  YOUTUBE_ROUND: "\u25B6\uFE0F",
+  POLL: "\u{1F4CA}",
+  SLOW_MODE: "\u{1F422}",
+  MEMBERS_ONLY_MODE: "\u{1F512}",
+  SUBSCRIBERS_ONLY_MODE: "\u{1F512}",
+  EMOJI_ONLY_MODE: "\u{1F600}",
+  KEEP: "\u{1F4CC}",
+  QUESTION_ANSWER: "\u2753",
+};
+
+/**
+ * Builds the element for an author-less system message, such as the chat rules
+ * reminder, poll results or "Slow mode is on".
+ * @param {Object} options
+ * @param {string} [options.iconType] - YouTube's icon name, mapped via SYSTEM_MESSAGE_ICONS.
+ * @param {Array} [options.textRuns] - The main text runs.
+ * @param {Array} [options.subtextRuns] - Secondary text runs, shown below the main text.
+ * @param {number} [options.offsetMs] - The video offset, shown as the timestamp.
+ * @param {string} options.messageTypeClass - CSS class for the message type.
+ * @returns {HTMLElement} The message element.
+ */
+function createSystemMessageElement({
+  iconType,
+  textRuns,
+  subtextRuns,
+  offsetMs,
+  messageTypeClass,
+}) {
+  const messageElement = document.createElement("div");
+  messageElement.classList.add("chat-message", "chat-system-message", messageTypeClass);
+
+  const iconSpan = document.createElement("span");
+  iconSpan.classList.add("system-icon");
+  iconSpan.textContent = SYSTEM_MESSAGE_ICONS[iconType] || "\u2139\uFE0F";
+  iconSpan.title = iconType || "";
+  messageElement.appendChild(iconSpan);
+
+  const contentDiv = document.createElement("div");
+  contentDiv.classList.add("message-content");
+
+  const timeSpan = document.createElement("span");
+  timeSpan.classList.add("timestamp");
+  timeSpan.textContent = formatOffsetTimestamp(offsetMs);
+  contentDiv.appendChild(timeSpan);
+
+  const bodyDiv = document.createElement("div");
+  bodyDiv.classList.add("message-body");
+  processMessageRuns(textRuns, bodyDiv);
+  contentDiv.appendChild(bodyDiv);
+
+  if (subtextRuns) {
+    const subtextDiv = document.createElement("div");
+    subtextDiv.classList.add("system-subtext");
+    processMessageRuns(subtextRuns, subtextDiv);
+    contentDiv.appendChild(subtextDiv);
   }
 
-  // Add counts of skipped items if any were skipped
-  const skippedMessages = [];
-  if (skippedTickerCount > 0)
-    skippedMessages.push(`${skippedTickerCount} ticker`);
-  if (skippedOtherItemCount > 0)
-    skippedMessages.push(`${skippedOtherItemCount} unhandled item types`);
-  if (skippedOtherActionCount > 0)
-    skippedMessages.push(`${skippedOtherActionCount} unhandled action types`);
+  messageElement.appendChild(contentDiv);
+  return messageElement;
+}
 
-  if (skippedMessages.length > 0) {
-    summaryText += ` (Skipped: ${skippedMessages.join(", ")})`;
+/**
+ * Builds the element for a banner pinned to the top of the chat
+ * (`addBannerToLiveChatCommand`), e.g. a message pinned by the streamer.
+ * @param {Object|undefined} bannerRenderer - The `liveChatBannerRenderer` data.
+ * @param {number} offsetMs - The video offset the banner was added at.
+ * @returns {HTMLElement|null} The banner element, or null if it has no known content.
+ */
+function createBannerElement(bannerRenderer, offsetMs) {
+  const headerRenderer = bannerRenderer?.header?.liveChatBannerHeaderRenderer;
+  // Banner contents are regular chat items (usually the pinned text message)
+  const contentsElement = bannerRenderer?.contents
+    ? createChatItemElement(bannerRenderer.contents, offsetMs)
+    : null;
+  if (!contentsElement) return null;
+
+  const bannerElement = createSystemMessageElement({
+    iconType: headerRenderer?.icon?.iconType,
+    textRuns: headerRenderer?.text?.runs,
+    offsetMs,
+    messageTypeClass: "chat-banner-message",
+  });
+  contentsElement.classList.add("banner-contents");
+  bannerElement.querySelector(".message-content").appendChild(contentsElement);
+  return bannerElement;
+}
+
+/**
+ * Marks a rendered message as deleted: struck through, with YouTube's
+ * "[message deleted]" note, and hidden while "Show deleted messages" is off.
+ * @param {HTMLElement} messageElement - The message element to mark.
+ * @param {Object} [deletedStateMessage] - The runs object describing the deletion.
+ */
+function markMessageDeleted(messageElement, deletedStateMessage) {
+  messageElement.classList.add("chat-message-deleted");
+  const noteSpan = document.createElement("span");
+  noteSpan.classList.add("deleted-state");
+  processMessageRuns(deletedStateMessage?.runs, noteSpan);
+  if (!noteSpan.textContent) {
+    noteSpan.textContent = "[message deleted]";
   }
+  const contentDiv = messageElement.querySelector(".message-content");
+  (contentDiv || messageElement).appendChild(noteSpan);
+}
+
+/**
+ * Formats a video offset as a timestamp, for items without their own `timestampText`.
+ * @param {number} [offsetMs] - The video offset in milliseconds.
+ * @returns {string} The timestamp, or "[no time]" if the offset is unknown.
+ */
+function formatOffsetTimestamp(offsetMs) {
+  return isFinite(offsetMs) ? formatTimestamp(offsetMs) : "[no time]";
+}
+
+/**
+ * Applies YouTube's own Super Chat / Super Sticker colors to a message element
+ * through CSS custom properties (see `.chat-paid-message` in style.css).
+ * @param {HTMLElement} messageElement - The message element to color.
+ * @param {Object} renderer - The paid message or paid sticker renderer data.
+ */
+function applyPaidMessageColors(messageElement, renderer) {
+  const colorProperties = {
+    "--paid-header-bg": renderer.headerBackgroundColor ?? renderer.moneyChipBackgroundColor,
+    "--paid-header-text": renderer.headerTextColor ?? renderer.moneyChipTextColor,
+    "--paid-body-bg": renderer.bodyBackgroundColor ?? renderer.backgroundColor,
+    "--paid-body-text": renderer.bodyTextColor,
+    "--paid-author-text": renderer.authorNameTextColor,
+  };
+  Object.entries(colorProperties).forEach(([property, argb]) => {
+    const color = argbToCssColor(argb);
+    if (color) {
+      messageElement.style.setProperty(property, color);
+    }
+  });
+}
+
+/**
+ * Converts one of YouTube's ARGB color integers (e.g. 4280191205) to a CSS color.
+ * @param {number|undefined} argb - The color as an unsigned 32-bit ARGB integer.
+ * @returns {string|null} An `rgba()` color, or null if the value is missing.
+ */
+function argbToCssColor(argb) {
+  if (typeof argb !== "number" || !isFinite(argb)) return null;
+  const alpha = ((argb >>> 24) & 0xff) / 255;
+  const red = (argb >>> 16) & 0xff;
+  const green = (argb >>> 8) & 0xff;
+  const blue = argb & 0xff;
+  return `rgba(${red}, ${green}, ${blue}, ${alpha.toFixed(3)})`;
+}
 
-  summary.textContent = summaryText;
-  chatContainer.prepend(summary); // Add summary to the top
+/**
+ * Picks the URL of the largest thumbnail in a YouTube image object.
+ * Sticker URLs are protocol-relative ("//lh3..."), so those get https: prepended.
+ * @param {Object|undefined} image - An object with a `thumbnails` array.
+ * @returns {string} The URL, or an empty string if there is none.
+ */
+function getLargestThumbnailUrl(image) {
+  const thumbnails = image?.thumbnails || [];
+  const largest = thumbnails.reduce(
+    (best, thumbnail) =>
+      !best || (thumbnail.width || 0) > (best.width || 0) ? thumbnail : best,
+    null
+  );
+  const url = largest?.url || "";
+  return url.startsWith("//") ? `https:${url}` : url;
+}
 
-  // Scroll to top after loading
-  chatContainer.scrollTop = 0;
+/**
+ * Prepares the chat container for a new log: an empty list with a summary
+ * line above it, and playback reset to the start (unless a video drives it).
+ * Messages are then added with addChatMessages as they are parsed.
+ * @param {string} sourceName - The file name of the log, e.g. for export file names.
+ * @param {Object} [options]
+ * @param {string} [options.source] - Where the log comes from (file name or URL),
+ *   as shown in the library.
+ * @param {?number} [options.libraryId] - The library log being reopened, if any.
+ *   Other logs are added to the library once loaded, if the user wants that.
+ */
+function startChatLoad(sourceName, { source = sourceName, libraryId = null } = {}) {
+  saveLibraryPosition(); // Before the previous log's position is reset
+  setContent(chatContainer); // Clear previous content (like loading message)
+  clearChatTimeline();
+  linkedEntry = null;
+  focusedEntry = null;
+  linkStatus.textContent = "";
+  chatLoadState = {
+    sourceName,
+    source,
+    libraryId,
+    // The parsed batches, kept for the library until the log is stored there
+    batches:
+      libraryId === null && saveToLibraryToggle.checked && !saveToLibraryToggle.disabled
+        ? []
+        : null,
+    loading: true,
+    actionCount: 0,
+    skippedTickerCount: 0,
+    skippedOtherActionCount: 0,
+    skippedOtherItemCount: 0,
+    skippedUnreadableCount: 0,
+    // Skipped item renderer and action names -> counts, and the unreadable
+    // entries as { source, line, reason }, for the diagnostics panel
+    unhandledItemTypes: new Map(),
+    unhandledActionTypes: new Map(),
+    problems: [],
+    deletedMessageCount: 0,
+    // Offset of the latest deletion, which the replay has to reach too
+    lastDeletionMs: 0,
+    duplicateMessageCount: 0,
+    // Wall-clock time (ms) of offset 0, for merging sources; see alignBatchToLog()
+    clockOriginMs: NaN,
+    // Timeline entries by item id, and by author channel id, for deletion actions
+    entriesById: new Map(),
+    entriesByAuthor: new Map(),
+    // Keys of the entries without an item id (e.g. banners), to spot duplicates
+    // from merged sources; see getEntryKey()
+    entryKeys: new Set(),
+    // Deletions of messages not loaded (yet), which a later source may still
+    // bring: by item id, and lists by author channel id
+    pendingDeletionsById: new Map(),
+    pendingDeletionsByAuthor: new Map(),
+    // New entries from before the newest listed one, waiting to be merged in,
+    // and when that may happen next (performance.now() time)
+    pendingEntries: [],
+    nextMergeAt: 0,
+  };
+
+  chatSummaryElement = document.createElement("p");
+  chatContainer.appendChild(chatSummaryElement); // Summary stays at the top, the list follows
+
+  // The list's height stands in for all messages; only a window of them is rendered
+  chatListElement = document.createElement("div");
+  chatListElement.classList.add("chat-list");
+  // Only rendered messages are in the DOM; they carry their position in the list
+  chatListElement.setAttribute("role", "list");
+  chatListElement.setAttribute("aria-label", "Chat messages");
+  chatListElement.tabIndex = 0; // Arrow keys then select messages
+  chatWindowElement = document.createElement("div");
+  chatWindowElement.classList.add("chat-list-window");
+  chatListElement.appendChild(chatWindowElement);
+  chatContainer.appendChild(chatListElement);
+  if (overlaySettings) {
+    // Shown instead of the list, which stays empty; see renderOverlay()
+    overlayListElement = createElement("div", {
+      className: "overlay-list",
+      attributes: { role: "list", "aria-label": "Chat messages" },
+    });
+    chatContainer.appendChild(overlayListElement);
+  }
+  rebuildChatList();
+
+  // Start a fresh replay from the beginning, unless a video drives the position
+  if (!isVideoSyncActive()) {
+    pauseClock();
+    stopSyncLoop();
+    playbackClock.positionMs = 0;
+  }
+  playbackControls.hidden = false;
+  searchBar.hidden = false;
+  filterPanel.hidden = false;
+  exportBar.hidden = false;
+  offlineImagesBar.hidden = false;
+  analyticsPanel.hidden = false;
+  analyticsContent.replaceChildren();
+  diagnosticsPanel.hidden = false;
+  diagnosticsContent.replaceChildren();
+  closeAuthorPanel();
+}
+
+/**
+ * Adds a batch of normalized messages (see chat-parser.js) to the loaded log
+ * and updates the list.
+ * Batches are expected in roughly chronological order; messages reaching back
+ * before the newest one are collected and merged in now and then (see
+ * mergePendingEntries()), as that costs a full list rebuild.
+ * @param {{messages: Array<Object>, skipped: Object, actionCount: number}} batch - The batch to add.
+ */
+function addChatMessages(batch) {
+  const state = chatLoadState;
+  state.batches?.push(batch);
+  const newEntries = [];
+  const deletedEntries = [];
+  const markDeleted = (entry, deletedStateMessage, offsetMs) => {
+    // The earliest deletion counts, e.g. a retracted message whose author is banned later
+    if (entry.deletedState && entry.deletedState.offsetMs <= offsetMs) return;
+    if (!entry.deletedState) state.deletedMessageCount++;
+    entry.deletedState = { offsetMs, message: deletedStateMessage || {} };
+    state.lastDeletionMs = Math.max(state.lastDeletionMs, offsetMs);
+    deletedEntries.push(entry);
+  };
+
+  state.actionCount += batch.actionCount;
+  state.skippedTickerCount += batch.skipped.ticker;
+  state.skippedOtherItemCount += batch.skipped.otherItem;
+  state.skippedOtherActionCount += batch.skipped.otherAction;
+  // Batches saved to the library before diagnostics existed lack these
+  state.skippedUnreadableCount += batch.skipped.unreadable || 0;
+  [
+    [batch.unhandled?.items, state.unhandledItemTypes],
+    [batch.unhandled?.actions, state.unhandledActionTypes],
+  ].forEach(([batchCounts, counts]) =>
+    Object.entries(batchCounts || {}).forEach(([name, count]) =>
+      counts.set(name, (counts.get(name) || 0) + count)
+    )
+  );
+  (batch.problems || []).forEach((problem) => state.problems.push(problem));
+
+  // Array.prototype.sort is stable, so messages sharing an offset keep file order
+  batch.messages.sort((a, b) => a.offsetMs - b.offsetMs);
+
+  batch.messages.forEach((message) => {
+    if (message.type === "item" || message.type === "banner") {
+      const entry =
+        message.type === "item"
+          ? { offsetMs: message.offsetMs, item: message.item }
+          : { offsetMs: message.offsetMs, banner: message.banner };
+      const renderer = entry.item ? Object.values(entry.item)[0] : null;
+      // Merged sources (e.g. overlapping downloads) may contain the same message
+      const key = renderer?.id ? null : getEntryKey(entry);
+      if (key === null ? state.entriesById.has(renderer.id) : state.entryKeys.has(key)) {
+        state.duplicateMessageCount++;
+        return;
+      }
+      newEntries.push(entry);
+      if (key === null) {
+        state.entriesById.set(renderer.id, entry);
+      } else {
+        state.entryKeys.add(key);
+      }
+      if (!renderer) return;
+
+      const channelId = renderer.authorExternalChannelId;
+      if (channelId) {
+        const authorEntries = state.entriesByAuthor.get(channelId) || [];
+        authorEntries.push(entry);
+        state.entriesByAuthor.set(channelId, authorEntries);
+      }
+      // Deletions read before the message, e.g. from another source
+      const deletion = renderer.id && state.pendingDeletionsById.get(renderer.id);
+      if (deletion) {
+        state.pendingDeletionsById.delete(renderer.id);
+        markDeleted(entry, deletion.deletedStateMessage, deletion.offsetMs);
+      }
+      (state.pendingDeletionsByAuthor.get(channelId) || []).forEach((authorDeletion) => {
+        if (entry.offsetMs <= authorDeletion.offsetMs) {
+          markDeleted(entry, authorDeletion.deletedStateMessage, authorDeletion.offsetMs);
+        }
+      });
+    } else if (message.type === "delete") {
+      const entry = state.entriesById.get(message.targetItemId);
+      if (entry) {
+        markDeleted(entry, message.deletedStateMessage, message.offsetMs);
+      } else {
+        state.pendingDeletionsById.set(message.targetItemId, message);
+      }
+    } else if (message.type === "deleteByAuthor") {
+      // Removes what the author wrote up to then; a timed-out author may chat again later
+      const authorEntries = state.entriesByAuthor.get(message.authorChannelId) || [];
+      authorEntries.forEach((entry) => {
+        if (entry.offsetMs <= message.offsetMs) {
+          markDeleted(entry, message.deletedStateMessage, message.offsetMs);
+        }
+      });
+      // The author's messages that other sources bring later are deleted too
+      const authorDeletions = state.pendingDeletionsByAuthor.get(message.authorChannelId) || [];
+      authorDeletions.push(message);
+      state.pendingDeletionsByAuthor.set(message.authorChannelId, authorDeletions);
+    }
+  });
+
+  const lastOffsetMs = chatTimeline.length
+    ? chatTimeline[chatTimeline.length - 1].offsetMs
+    : -Infinity;
+  if (
+    state.pendingEntries.length > 0 ||
+    (newEntries.length > 0 && newEntries[0].offsetMs < lastOffsetMs)
+  ) {
+    newEntries.forEach((entry) => state.pendingEntries.push(entry));
+    if (performance.now() >= state.nextMergeAt) {
+      mergePendingEntries();
+    }
+  } else {
+    appendListEntries(newEntries);
+  }
+  // Deleted messages stay listed (see isEntryHidden()), so deletions only
+  // re-render the affected messages
+  deletedEntries.forEach((entry) => replaceRenderedElement(entry));
+  if (deletedEntries.length > 0) renderChatWindow();
+  syncChatToPlayback();
+}
+
+/**
+ * Merges the entries waiting in chatLoadState.pendingEntries into the timeline
+ * and rebuilds the list. Called now and then while loading, after each source
+ * and when loading finishes.
+ */
+function mergePendingEntries() {
+  const state = chatLoadState;
+  if (!state || state.pendingEntries.length === 0) return;
+  const startedAt = performance.now();
+  // Stable, so entries sharing an offset keep the order they were read in
+  const pendingEntries = state.pendingEntries.sort((a, b) => a.offsetMs - b.offsetMs);
+  state.pendingEntries = [];
+  chatTimeline = mergeSortedEntries(chatTimeline, pendingEntries);
+  rebuildChatList();
+  const finishedAt = performance.now();
+  state.nextMergeAt =
+    finishedAt + Math.max(MERGE_INTERVAL_MS, (finishedAt - startedAt) * MERGE_COST_FACTOR);
+}
+
+/**
+ * Identifies an entry without an item id (e.g. a pinned banner), to recognize
+ * it in other merged sources.
+ * @param {Object} entry - A chatTimeline entry.
+ * @returns {string} The key: the banner's action id, or else the entry's
+ *   offset and contents.
+ */
+function getEntryKey(entry) {
+  if (entry.banner?.actionId) {
+    return `banner:${entry.banner.actionId}`;
+  }
+  return `${entry.offsetMs}:${JSON.stringify(entry.item || entry.banner)}`;
+}
+
+/**
+ * Merges two arrays of entries sorted by offset into a new sorted array.
+ * Entries from `older` come first among those sharing an offset.
+ * @param {Array<{offsetMs: number}>} older - Entries already in the timeline.
+ * @param {Array<{offsetMs: number}>} newer - Entries to merge in.
+ * @returns {Array<{offsetMs: number}>} The merged entries.
+ */
+function mergeSortedEntries(older, newer) {
+  const merged = [];
+  let i = 0;
+  let j = 0;
+  while (i < older.length || j < newer.length) {
+    if (j >= newer.length || (i < older.length && older[i].offsetMs <= newer[j].offsetMs)) {
+      merged.push(older[i++]);
+    } else {
+      merged.push(newer[j++]);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Marks the log as fully loaded and shows the final summary, or a notice
+ * if the data contained no chat actions at all.
+ */
+function finishChatLoad() {
+  mergePendingEntries();
+  chatLoadState.loading = false;
+  if (chatLoadState.actionCount === 0) {
+    // Handle case where parsing was successful but no actions were found/extracted
+    clearChatTimeline();
+    setContent(chatContainer, createElement("p", {}, "No chat actions found in the provided data."));
+    announce(chatContainer.textContent);
+    return;
+  }
+  updateChatSummary();
+  announce(chatSummaryElement.textContent);
+  syncChatToPlayback({ scrollToLatest: true });
+  // Messages loaded after the author panel was opened count too
+  if (authorPanelState) {
+    openAuthorPanel(authorPanelState.channelId);
+  }
+  updateAnalyticsPanel();
+  updateDiagnosticsPanel();
+  if (pendingDeepLink) {
+    applyPendingDeepLink();
+  }
+  // There's no one to press Play in a browser source
+  if (overlaySettings?.autoplay && !isPlaybackRunning()) {
+    togglePlayback();
+  }
+  if (chatLoadState.batches) {
+    addLoadedLogToLibrary();
+  }
+}
+
+/**
+ * Updates the summary line above the chat list.
+ * @param {string} [statusText] - Progress shown in front while the log is loading.
+ */
+function updateChatSummary(statusText) {
+  if (!chatSummaryElement) return;
+  const state = chatLoadState;
+  const messageCount = chatTimeline.length;
+
+  // --- Summary Message ---
+  let summaryText;
+
+  // Adjust summary logic slightly for clarity
+  if (state.loading) {
+    summaryText = `${statusText || "Loading..."} ${messageCount} messages so far.`;
+  } else if (
+    messageCount === 0 &&
+    (state.skippedTickerCount > 0 ||
+      state.skippedOtherActionCount > 0 ||
+      state.skippedOtherItemCount > 0 ||
+      state.skippedUnreadableCount > 0)
+  ) {
+    summaryText = `Processed data, but found no displayable messages.`;
+  } else if (isVideoSyncActive()) {
+    summaryText = `Loaded ${messageCount} messages, synced to the video.`;
+  } else {
+    summaryText = `Loaded ${messageCount} messages. Press Play or drag the timeline to replay the chat.`;
+  }
+
+  // Add counts of skipped items if any were skipped
+  const skippedMessages = [];
+  if (state.skippedTickerCount > 0)
+    skippedMessages.push(`${state.skippedTickerCount} ticker`);
+  if (state.skippedOtherItemCount > 0)
+    skippedMessages.push(`${state.skippedOtherItemCount} unhandled item types`);
+  if (state.skippedOtherActionCount > 0)
+    skippedMessages.push(`${state.skippedOtherActionCount} unhandled action types`);
+  if (state.skippedUnreadableCount > 0)
+    skippedMessages.push(`${state.skippedUnreadableCount} unreadable entries`);
+
+  if (skippedMessages.length > 0) {
+    summaryText += ` (Skipped: ${skippedMessages.join(", ")})`;
+  }
+  if (state.deletedMessageCount > 0) {
+    summaryText += ` ${state.deletedMessageCount} messages were deleted by moderators or their authors.`;
+  }
+  if (state.duplicateMessageCount > 0) {
+    summaryText += ` ${state.duplicateMessageCount} messages found in several files were listed once.`;
+  }
+  if (listEntries !== chatTimeline) {
+    summaryText += ` Showing ${listEntries.length} of them with the current filters.`;
+  }
+
+  chatSummaryElement.textContent = summaryText;
+}
+
+/**
+ * Builds the element for a timeline entry, applying its deleted state if any.
+ * @param {Object} entry - A chatTimeline entry.
+ * @param {Object} [options]
+ * @param {number} [options.timeMs=Infinity] - The playback position to show the
+ *   message at; it shows as deleted from its deletion on. By default, as it
+ *   ended up (e.g. in the author panel).
+ * @returns {HTMLElement} The message element.
+ */
+function createEntryElement(entry, { timeMs = Infinity } = {}) {
+  const element = entry.banner
+    ? createBannerElement(entry.banner, entry.offsetMs)
+    : createChatItemElement(entry.item, entry.offsetMs);
+  if (isEntryDeletedAt(entry, timeMs)) {
+    markMessageDeleted(element, entry.deletedState.message);
+  }
+  if (searchQuery && getEntrySearchText(entry).includes(searchQuery)) {
+    highlightSearchMatches(element);
+    element.classList.toggle("search-current", entry === searchHits[searchHitIndex]);
+  }
+  if (entry === linkedEntry) {
+    element.classList.add("linked-message");
+  }
+  const timeElement = element.querySelector(".timestamp");
+  if (timeElement) {
+    timeElement.title = "Copy a link to this message";
+  }
+  element.setAttribute("role", "listitem");
+  element.tabIndex = -1; // Focused by moveMessageFocus()
+  return element;
+}
+
+/**
+ * Builds the element of a listed entry: its message, or an empty placeholder
+ * for a deleted message that is hidden, so it doesn't take up space.
+ * @param {Object} entry - A listEntries entry.
+ * @param {number} [timeMs] - The playback position to show it at; by default the current one.
+ * @returns {HTMLElement} The element.
+ */
+function createListEntryElement(entry, timeMs = getPlaybackTimeMs()) {
+  if (isEntryHidden(entry, timeMs)) {
+    return createElement("div", {
+      className: "deleted-placeholder",
+      attributes: { "aria-hidden": "true" },
+    });
+  }
+  return createEntryElement(entry, { timeMs });
+}
+
+/**
+ * Whether a timeline entry is a message deleted by the given playback position.
+ * @param {Object} entry - A chatTimeline entry.
+ * @param {number} timeMs - The playback position in milliseconds.
+ * @returns {boolean}
+ */
+function isEntryDeletedAt(entry, timeMs) {
+  return Boolean(entry.deletedState) && entry.deletedState.offsetMs <= timeMs;
+}
+
+/**
+ * Whether a listed entry is a message deleted by the given playback position
+ * and hidden by unticking "Show deleted messages". Hiding these by rendering
+ * them empty, rather than leaving them out of listEntries, lets deletions come
+ * in (and take effect during replay) without rebuilding the list.
+ * @param {Object} entry - A listEntries entry.
+ * @param {number} timeMs - The playback position in milliseconds.
+ * @returns {boolean}
+ */
+function isEntryHidden(entry, timeMs) {
+  return !chatFilters.showDeleted && isEntryDeletedAt(entry, timeMs);
+}
+
+/**
+ * Re-renders an entry's elements in the chat and the overlay, e.g. after it
+ * was deleted, keeping focus on it.
+ * @param {Object} entry - A listEntries entry.
+ * @param {number} [timeMs] - The playback position to show it at; by default the current one.
+ */
+function replaceRenderedElement(entry, timeMs = getPlaybackTimeMs()) {
+  const element = renderedElements.get(entry);
+  if (element) {
+    renderedElements.set(entry, createListEntryElement(entry, timeMs));
+    const hadFocus = element === document.activeElement;
+    element.replaceWith(renderedElements.get(entry));
+    if (hadFocus) renderedElements.get(entry).focus({ preventScroll: true });
+  }
+  overlayElements.get(entry)?.replaceWith(createOverlayElement(entry, timeMs));
+}
+
+/**
+ * Re-renders the rendered messages whose deletion the playback position has
+ * just passed, or (after seeking back) is before again.
+ * @param {number} timeMs - The playback position in milliseconds.
+ * @returns {boolean} Whether any message changed.
+ */
+function updateDeletedElements(timeMs) {
+  const changedEntries = new Set();
+  [renderedElements, overlayElements].forEach((elements) =>
+    elements.forEach((element, entry) => {
+      if (!entry.deletedState) return;
+      const shownDeleted =
+        element.classList.contains("chat-message-deleted") ||
+        element.classList.contains("deleted-placeholder");
+      if (shownDeleted !== isEntryDeletedAt(entry, timeMs)) {
+        changedEntries.add(entry);
+      }
+    })
+  );
+  changedEntries.forEach((entry) => replaceRenderedElement(entry, timeMs));
+  return changedEntries.size > 0;
+}
+
+/**
+ * Recomputes which timeline entries belong in the list (e.g. after changing
+ * the filters) and re-renders it, keeping the current playback position.
+ */
+function rebuildChatList() {
+  if (!chatListElement) return;
+  listEntries = hasActiveFilters()
+    ? chatTimeline.filter(isEntryListed)
+    : chatTimeline;
+  visibleCount = 0;
+  resetListMeasurements();
+  updateSearchResults();
+  syncChatToTime(getPlaybackTimeMs());
+  renderChatWindow();
+}
+
+/**
+ * Appends entries that are newer than every existing one to the timeline
+ * and, unless filtered out, to the list.
+ * @param {Array<Object>} newEntries - Entries sorted by offset.
+ */
+function appendListEntries(newEntries) {
+  if (newEntries.length === 0) return;
+  const filtered = listEntries !== chatTimeline;
+  newEntries.forEach((entry) => chatTimeline.push(entry));
+  const listedEntries = filtered ? newEntries.filter(isEntryListed) : newEntries;
+  if (filtered) {
+    listedEntries.forEach((entry) => listEntries.push(entry));
+  }
+  addSearchHits(listedEntries);
+  // The height trees have spare capacity; grow them (by rebuilding) when it runs out
+  if (listEntries.length >= heightTree.length) {
+    resetListMeasurements();
+  }
+}
+
+/**
+ * Lists exactly the entries whose offset is at or before `timeMs`.
+ * Only the rendered window is updated, so playing and seeking stay cheap
+ * however long the log is.
+ * @param {number} timeMs - The playback position in milliseconds.
+ * @param {Object} [options]
+ * @param {boolean} [options.scrollToLatest] - Scroll to the newest listed message
+ *   (used for explicit seeks) instead of only when already at the bottom.
+ */
+function syncChatToTime(timeMs, { scrollToLatest = false } = {}) {
+  if (!chatListElement) return;
+  // Messages leave the overlay with time too, not only when new ones come in
+  if (overlayListElement) renderOverlay(timeMs);
+  // Deletions take effect when the replay reaches them
+  const deletionsChanged = updateDeletedElements(timeMs);
+  const targetCount = countEntriesUpTo(listEntries, timeMs);
+  if (targetCount === visibleCount && !scrollToLatest) {
+    if (deletionsChanged) renderChatWindow(); // Re-measure them
+    return;
+  }
+
+  // Follow new messages only if the user hasn't scrolled up to read older ones
+  const wasAtBottom = isChatScrolledToBottom();
+  visibleCount = targetCount;
+  renderChatWindow({ stickToBottom: wasAtBottom || scrollToLatest });
+}
+
+/**
+ * Whether the chat container is scrolled (nearly) all the way down.
+ * @returns {boolean}
+ */
+function isChatScrolledToBottom() {
+  return (
+    chatContainer.scrollHeight -
+      chatContainer.scrollTop -
+      chatContainer.clientHeight <
+    SCROLL_STICK_THRESHOLD_PX
+  );
+}
+
+/**
+ * Forgets the loaded timeline, e.g. when the container is reused for status messages.
+ */
+function clearChatTimeline() {
+  chatTimeline = [];
+  listEntries = [];
+  visibleCount = 0;
+  chatSummaryElement = null;
+  chatListElement = null;
+  chatWindowElement = null;
+  renderedRange = { start: 0, end: 0 };
+  renderedElements = new Map();
+  overlayListElement = null;
+  overlayElements = new Map();
+  resetListMeasurements();
+  searchHits = [];
+  searchHitIndex = -1;
+  updateSearchCount();
+}
+
+/**
+ * Binary-searches sorted entries for the number with `offsetMs <= timeMs`.
+ * @param {Array<{offsetMs: number}>} entries - Entries sorted by offset.
+ * @param {number} timeMs - The playback position in milliseconds.
+ * @returns {number} The count of entries at or before the given time.
+ */
+function countEntriesUpTo(entries, timeMs) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (entries[mid].offsetMs <= timeMs) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+}
+
+// --- Virtualized List ---
+// Message heights vary, so each list entry's height is measured once rendered
+// (and cached on the entry). Unmeasured entries are assumed to have the average
+// measured height. Two Fenwick trees over the list (summed heights, and count
+// of measured entries) give any entry's top position in O(log n).
+
+/**
+ * Creates an empty Fenwick (binary indexed) tree.
+ * @param {number} size - The number of elements.
+ * @returns {Float64Array} The tree, 1-indexed internally.
+ */
+function createFenwickTree(size) {
+  return new Float64Array(size + 1);
+}
+
+/**
+ * Adds `delta` to the element at `index` of a Fenwick tree.
+ * @param {Float64Array} tree - The tree.
+ * @param {number} index - The 0-based element index.
+ * @param {number} delta - The amount to add.
+ */
+function fenwickAdd(tree, index, delta) {
+  for (let i = index + 1; i < tree.length; i += i & -i) {
+    tree[i] += delta;
+  }
+}
+
+/**
+ * Sums the first `count` elements of a Fenwick tree.
+ * @param {Float64Array} tree - The tree.
+ * @param {number} count - How many leading elements to sum.
+ * @returns {number} The sum.
+ */
+function fenwickPrefixSum(tree, count) {
+  let sum = 0;
+  for (let i = Math.min(count, tree.length - 1); i > 0; i -= i & -i) {
+    sum += tree[i];
+  }
+  return sum;
+}
+
+/**
+ * Rebuilds the height bookkeeping from the heights cached on listEntries.
+ */
+function resetListMeasurements() {
+  // Leave room for the list to grow while a log is still loading
+  const capacity = Math.max(1024, listEntries.length * 2);
+  heightTree = createFenwickTree(capacity);
+  measuredTree = createFenwickTree(capacity);
+  measuredHeightTotal = 0;
+  measuredEntryCount = 0;
+  listEntries.forEach((entry, index) => {
+    if (entry.height !== undefined) {
+      fenwickAdd(heightTree, index, entry.height);
+      fenwickAdd(measuredTree, index, 1);
+      measuredHeightTotal += entry.height;
+      measuredEntryCount++;
+    }
+  });
+}
+
+/**
+ * Records the measured height of a list entry.
+ * @param {number} index - The entry's index in listEntries.
+ * @param {number} height - The height in px, including its bottom margin.
+ */
+function setEntryHeight(index, height) {
+  const entry = listEntries[index];
+  if (entry.height === height) return;
+  if (entry.height === undefined) {
+    fenwickAdd(measuredTree, index, 1);
+    measuredEntryCount++;
+    fenwickAdd(heightTree, index, height);
+    measuredHeightTotal += height;
+  } else {
+    fenwickAdd(heightTree, index, height - entry.height);
+    measuredHeightTotal += height - entry.height;
+  }
+  entry.height = height;
+}
+
+/**
+ * Gets the height assumed for entries that haven't been rendered yet.
+ * @returns {number} The estimated height in px.
+ */
+function getEstimatedEntryHeight() {
+  return measuredEntryCount > 0
+    ? measuredHeightTotal / measuredEntryCount
+    : DEFAULT_MESSAGE_HEIGHT_PX;
+}
+
+/**
+ * Gets the top position of a list entry, i.e. the height of all entries before it.
+ * @param {number} index - The entry's index in listEntries (may equal the list length).
+ * @returns {number} The position in px from the top of the list.
+ */
+function getEntryTop(index) {
+  const measuredCount = fenwickPrefixSum(measuredTree, index);
+  return (
+    fenwickPrefixSum(heightTree, index) +
+    (index - measuredCount) * getEstimatedEntryHeight()
+  );
+}
+
+/**
+ * Finds the listed entry covering a vertical position in the list.
+ * @param {number} y - The position in px from the top of the list.
+ * @returns {number} The entry index, clamped to the listed entries.
+ */
+function findEntryAt(y) {
+  let low = 0;
+  let high = visibleCount - 1;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (getEntryTop(mid + 1) <= y) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return Math.max(low, 0);
+}
+
+/**
+ * Renders the listed entries that are in (or near) view, and sizes the list
+ * so the scrollbar reflects all of them. Entries whose measured height differs
+ * from the estimate are corrected while keeping the same message at the same
+ * place on screen, so the view doesn't jump.
+ * @param {Object} [options]
+ * @param {boolean} [options.stickToBottom] - Keep the newest message in view.
+ * @param {number} [options.anchorIndex] - Scroll so this entry is at the top of the view.
+ * @param {number} [options.anchorDelta] - Offset of the view's top from the anchor entry's, in px.
+ */
+function renderChatWindow({ stickToBottom = false, anchorIndex, anchorDelta = 0 } = {}) {
+  // A hidden container measures everything as 0px, which would render every entry.
+  // The overlay renders its own messages.
+  if (!chatListElement || overlayListElement || chatContainer.clientHeight === 0) return;
+
+  const listOffsetTop = chatListElement.offsetTop;
+  let anchor;
+  if (anchorIndex !== undefined) {
+    anchor = { index: anchorIndex, delta: anchorDelta };
+  } else {
+    const viewTop = Math.max(0, chatContainer.scrollTop - listOffsetTop);
+    const index = findEntryAt(viewTop);
+    anchor = { index, delta: viewTop - getEntryTop(index) };
+  }
+
+  // Measuring can change the estimates, so repeat until the window covers the view
+  for (let pass = 0; pass < MAX_RENDER_PASSES; pass++) {
+    chatListElement.style.height = `${getEntryTop(visibleCount)}px`;
+    if (stickToBottom) {
+      chatContainer.scrollTop = chatContainer.scrollHeight;
+    } else if (visibleCount > 0) {
+      const anchorTop = getEntryTop(Math.min(anchor.index, visibleCount - 1));
+      chatContainer.scrollTop = listOffsetTop + anchorTop + anchor.delta;
+    }
+
+    const viewTop = Math.max(0, chatContainer.scrollTop - listOffsetTop);
+    const viewBottom = viewTop + chatContainer.clientHeight;
+    const start = visibleCount > 0 ? findEntryAt(viewTop - RENDER_BUFFER_PX) : 0;
+    const end =
+      visibleCount > 0
+        ? Math.min(findEntryAt(viewBottom + RENDER_BUFFER_PX) + 1, visibleCount)
+        : 0;
+
+    const changed = updateRenderedRange(start, end);
+    chatWindowElement.style.top = `${getEntryTop(start)}px`;
+    if (!changed && pass > 0) break;
+  }
+}
+
+/**
+ * Makes the rendered window contain exactly entries [start, end), reusing
+ * already rendered elements, then measures any entries whose height changed.
+ * @param {number} start - First entry index to render.
+ * @param {number} end - One past the last entry index to render.
+ * @returns {boolean} Whether the rendered entries or any measurement changed.
+ */
+function updateRenderedRange(start, end) {
+  let changed = start !== renderedRange.start || end !== renderedRange.end;
+  if (changed) {
+    // Taking an element out of the document takes its focus too
+    const focusedElement = chatWindowElement.contains(document.activeElement)
+      ? document.activeElement
+      : null;
+    const nextElements = new Map();
+    const fragment = document.createDocumentFragment();
+    for (let i = start; i < end; i++) {
+      const entry = listEntries[i];
+      const element = renderedElements.get(entry) || createListEntryElement(entry);
+      nextElements.set(entry, element);
+      fragment.appendChild(element);
+    }
+    chatWindowElement.replaceChildren(fragment);
+    renderedElements = nextElements;
+    renderedRange = { start, end };
+    if (focusedElement) {
+      // Scrolled out of the window: keep focus in the list rather than lose it
+      (focusedElement.isConnected ? focusedElement : chatListElement).focus({ preventScroll: true });
+    }
+  }
+
+  // The window is a block formatting context, so offsetTop differences
+  // include the margins between messages
+  const elements = chatWindowElement.children;
+  for (let i = 0; i < elements.length; i++) {
+    const nextTop =
+      i + 1 < elements.length
+        ? elements[i + 1].offsetTop
+        : chatWindowElement.offsetHeight;
+    const height = nextTop - elements[i].offsetTop;
+    // Screen readers only see the rendered messages, so tell them where these are
+    if (elements[i].getAttribute("aria-posinset") !== String(start + i + 1)) {
+      elements[i].setAttribute("aria-posinset", String(start + i + 1));
+    }
+    if (elements[i].getAttribute("aria-setsize") !== String(visibleCount)) {
+      elements[i].setAttribute("aria-setsize", String(visibleCount));
+    }
+    if (listEntries[start + i].height !== height) {
+      setEntryHeight(start + i, height);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+/**
+ * Scrolls the list so the given entry is at the top (or middle) of the view.
+ * @param {number} index - The entry's index in listEntries; must be listed (< visibleCount).
+ * @param {Object} [options]
+ * @param {boolean} [options.center] - Put the entry in the middle of the view instead.
+ */
+function scrollToListEntry(index, { center = false } = {}) {
+  if (index < 0 || index >= visibleCount) return;
+  const entryHeight = listEntries[index].height ?? getEstimatedEntryHeight();
+  const anchorDelta = center ? -(chatContainer.clientHeight - entryHeight) / 2 : 0;
+  renderChatWindow({ anchorIndex: index, anchorDelta });
+}
+
+/**
+ * Re-renders the window when the user scrolls, at most once per frame.
+ */
+function handleChatScroll() {
+  if (scrollFrameId !== null) return;
+  scrollFrameId = requestAnimationFrame(() => {
+    scrollFrameId = null;
+    renderChatWindow();
+  });
+}
+
+/**
+ * Re-measures everything when the chat's width changes, since wrapping
+ * (and therefore every message's height) changes with it.
+ */
+function handleChatResize() {
+  const width = chatContainer.clientWidth;
+  if (width === lastChatWidth) return;
+  lastChatWidth = width;
+  chatTimeline.forEach((entry) => {
+    entry.height = undefined;
+  });
+  resetListMeasurements();
+  renderedRange = { start: 0, end: 0 }; // Force the window to re-measure
+  renderChatWindow();
+}
+
+// --- Export ---
+
+/**
+ * Exports the listed messages (those passing the filters, whether or not
+ * playback reached them) in the format chosen in the export bar, as a download.
+ */
+function handleExport() {
+  const format = exportFormatSelect.value;
+  const blob = buildChatExport(listEntries, format);
+  // "Stream [id].live_chat.json" -> "Stream [id].chat.csv"
+  const baseName = getLogBaseName(chatLoadState?.sourceName || "") || "chat";
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${baseName}.chat.${EXPORT_FORMATS[format].extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(link.href), 10000);
+}
+
+/**
+ * Gets a log's file name from where it comes from.
+ * @param {string} source - A file name or URL.
+ * @returns {string} The file name, e.g. "Stream [id].live_chat.json". File
+ *   names are returned as they are, as they may contain a literal "%".
+ */
+function getSourceName(source) {
+  if (!/^https?:\/\//i.test(source)) return source;
+  const name = source.split("/").pop();
+  try {
+    return decodeURI(name);
+  } catch {
+    return name; // Not valid percent-encoding, e.g. "100%.json"
+  }
+}
+
+/**
+ * Strips the chat file extensions from a log's file name.
+ * @param {string} sourceName - The file name, e.g. "Stream [id].live_chat.json.gz".
+ * @returns {string} The name without extensions, e.g. "Stream [id]".
+ */
+function getLogBaseName(sourceName) {
+  return sourceName.replace(/(\.live_chat)?(\.jsonl?)?(\.gz|\.xz|\.zip)?$/i, "");
+}
+
+// --- Shared Links ---
+// A link to the page can carry a chat URL, a time and a message id, in its hash
+// (or query): index.html#src=https://example.com/chat.json&t=1:23:45&msg=<id>
+// Opening it downloads the chat and goes to the message, or else the time.
+
+/**
+ * Reads the parameters of the page's URL, from its query and its hash.
+ * @returns {URLSearchParams} The parameters; those in the hash win over the query's.
+ */
+function readPageParams() {
+  const params = new URLSearchParams(window.location.search);
+  new URLSearchParams(window.location.hash.slice(1)).forEach((value, key) =>
+    params.set(key, value)
+  );
+  return params;
+}
+
+/**
+ * Reads the shared link the page's URL carries, if any.
+ * @returns {?{src: string, timeMs: number, messageId: string}} The link, with
+ *   an empty `src`/`messageId` and a NaN `timeMs` for the parts it lacks; null
+ *   if the URL isn't a shared link.
+ */
+function readDeepLink() {
+  const params = readPageParams();
+  if (!params.has("src") && !params.has("t") && !params.has("msg")) {
+    return null;
+  }
+  return {
+    src: params.get("src") || "",
+    timeMs: parseLinkTime(params.get("t") || ""),
+    messageId: params.get("msg") || "",
+  };
+}
+
+/**
+ * Parses the time of a shared link: "1:23:45", seconds, or YouTube's "1h23m45s".
+ * @param {string} text - The time.
+ * @returns {number} The time in milliseconds, or NaN if it can't be parsed.
+ */
+function parseLinkTime(text) {
+  const match = text.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+(?:\.\d+)?)s)?$/);
+  if (!text || !match) {
+    return parseTimestamp(text);
+  }
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+}
+
+/**
+ * Opens the shared link in the page's URL, on page load and when the hash changes.
+ * Its chat is downloaded unless it is already loaded; links without a chat URL
+ * (to chats loaded from files) apply to the chat loaded, or loaded next.
+ */
+async function openDeepLink() {
+  const link = readDeepLink();
+  if (!link) return;
+  pendingDeepLink = link;
+
+  let sourceUrl = link.src;
+  try {
+    sourceUrl = new URL(link.src, document.baseURI).href;
+  } catch {
+    // Not a URL the page can resolve; handleUrlLoad reports it
+  }
+  if (link.src && chatLoadState?.source !== sourceUrl) {
+    urlInput.value = link.src;
+    // A link that fails to load still applies to a file loaded next
+    await handleUrlLoad();
+    return;
+  }
+  // The chat is the loaded one: go there now, or once it has finished loading
+  if (chatLoadState && !chatLoadState.loading) {
+    applyPendingDeepLink();
+  }
+}
+
+/**
+ * Goes to the message, or else the time, of the pending shared link in the
+ * loaded log, highlighting the message.
+ */
+function applyPendingDeepLink() {
+  const { timeMs, messageId } = pendingDeepLink;
+  pendingDeepLink = null;
+  const entry = messageId ? chatLoadState.entriesById.get(messageId) : undefined;
+  linkStatus.textContent =
+    messageId && !entry ? "The linked message isn't in this chat." : "";
+
+  if (entry) {
+    linkedEntry = entry;
+    seekPlayback(entry.offsetMs);
+    refreshRenderedEntries(); // Applies the highlight
+    jumpToEntry(entry);
+  } else if (!isNaN(timeMs)) {
+    seekPlayback(timeMs);
+  }
+}
+
+/**
+ * Copies a shared link to a point of the loaded log (or one of its messages)
+ * to the clipboard. The chat's URL is only included for logs downloaded from one.
+ * @param {number} timeMs - The time to link to.
+ * @param {string} [messageId] - The id of the message to link to, if any.
+ */
+async function copyDeepLink(timeMs, messageId = "") {
+  if (!chatLoadState) return;
+  const params = new URLSearchParams();
+  const sourceUrl = /^https?:\/\/\S+$/.test(chatLoadState.source) ? chatLoadState.source : "";
+  if (sourceUrl) params.set("src", sourceUrl);
+  params.set("t", formatTimestamp(timeMs));
+  if (messageId) params.set("msg", messageId);
+
+  const url = new URL(window.location.href);
+  ["src", "t", "msg"].forEach((key) => url.searchParams.delete(key));
+  // Colons and slashes are fine in a hash, and keep the link readable
+  url.hash = params.toString().replace(/%3A/gi, ":").replace(/%2F/gi, "/");
+  const link = url.href;
+
+  const copiedText = sourceUrl
+    ? "Link copied."
+    : "Link copied. It opens at this point once the same chat file is loaded.";
+  try {
+    await navigator.clipboard.writeText(link);
+    linkStatus.textContent = copiedText;
+  } catch (error) {
+    // No clipboard access (e.g. an insecure context); let the user copy it
+    console.warn("Could not copy the link:", error);
+    const linkInput = createElement("input", {
+      className: "link-output",
+      attributes: { type: "text", readonly: "", value: link, "aria-label": "Link" },
+    });
+    setContent(linkStatus, "Copy this link: ", linkInput);
+    linkInput.focus();
+    linkInput.select();
+  }
+}
+
+// --- Overlay Mode ---
+// index.html?overlay&src=<chat URL> shows only the chat, on a transparent
+// background, for use as a browser source in streaming software (e.g. OBS).
+// The chat replays by itself; messages fade out after their lifetime.
+
+/**
+ * Reads the settings of overlay mode from the page's URL. Invalid values fall
+ * back to the defaults.
+ * @returns {?{maxMessages: number, lifetimeMs: number, animation: string,
+ *   autoplay: boolean, theme: Object<string, string>}} The settings, with the
+ *   theme as CSS custom properties ("" for those not set); null if the page
+ *   isn't in overlay mode.
+ */
+function readOverlaySettings() {
+  const params = readPageParams();
+  if (!params.has("overlay") || params.get("overlay") === "0") {
+    return null;
+  }
+  const readNumber = (name, fallback) => {
+    const value = Number(params.get(name));
+    return params.get(name) && value >= 0 && isFinite(value) ? value : fallback;
+  };
+  const readCssValue = (name, property) => {
+    let value = params.get(name) || "";
+    if (property === "font-size" && /^\d+(\.\d+)?$/.test(value)) {
+      value += "px";
+    } else if (property === "color" && /^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(value)) {
+      value = `#${value}`; // A "#" would have to be escaped in the URL
+    }
+    return value && CSS.supports(property, value) ? value : "";
+  };
+  const animation = params.get("animation");
+
+  return {
+    maxMessages: Math.max(1, Math.floor(readNumber("max", OVERLAY_DEFAULT_MAX_MESSAGES))),
+    // 0 keeps messages until newer ones push them out
+    lifetimeMs: readNumber("lifetime", OVERLAY_DEFAULT_LIFETIME_MS / 1000) * 1000,
+    animation: OVERLAY_ANIMATIONS.includes(animation) ? animation : OVERLAY_ANIMATIONS[0],
+    autoplay: params.get("autoplay") !== "0",
+    theme: {
+      "--overlay-font": readCssValue("font", "font-family"),
+      "--overlay-font-size": readCssValue("size", "font-size"),
+      "--overlay-text-color": readCssValue("color", "color"),
+      "--overlay-author-color": readCssValue("author", "color"),
+      "--overlay-message-bg": readCssValue("background", "color"),
+    },
+  };
+}
+
+/**
+ * Switches the page to overlay mode, hiding everything but the chat (see
+ * `.overlay-mode` in style.css) and applying the theme.
+ */
+function applyOverlayMode() {
+  document.body.classList.add("overlay-mode", `overlay-${overlaySettings.animation}`);
+  Object.entries(overlaySettings.theme).forEach(([property, value]) => {
+    if (value) {
+      document.body.style.setProperty(property, value);
+    }
+  });
+  document.body.style.setProperty("--overlay-animation-duration", `${OVERLAY_ANIMATION_MS}ms`);
+}
+
+/**
+ * Shows the overlay's messages at the playback position: the newest listed
+ * ones up to it, at most `maxMessages` and none older than their lifetime.
+ * Messages already shown keep their element, so only new ones animate in.
+ * @param {number} timeMs - The playback position in milliseconds.
+ */
+function renderOverlay(timeMs) {
+  const { maxMessages, lifetimeMs } = overlaySettings;
+  const end = countEntriesUpTo(listEntries, timeMs);
+  let start = Math.max(0, end - maxMessages);
+  if (lifetimeMs > 0) {
+    // Entries are sorted, so the expired ones come first
+    start = Math.max(start, countEntriesUpTo(listEntries, timeMs - lifetimeMs));
+  }
+  const shownEntries = new Set(listEntries.slice(start, end));
+
+  overlayElements.forEach((element, entry) => {
+    if (shownEntries.has(entry)) return;
+    overlayElements.delete(entry);
+    // Messages that expired or were pushed out leave with an animation; those
+    // after the position (after seeking back) just go
+    if (overlaySettings.animation === "none" || entry.offsetMs > timeMs) {
+      element.remove();
+    } else {
+      element.classList.add("overlay-leaving");
+      setTimeout(() => element.remove(), OVERLAY_ANIMATION_MS);
+    }
+  });
+
+  // Newer entries go below the shown ones, older (after seeking back) above them
+  let nextElement = null;
+  for (let index = end - 1; index >= start; index--) {
+    const entry = listEntries[index];
+    let element = overlayElements.get(entry);
+    if (!element) {
+      element = createOverlayElement(entry, timeMs);
+      overlayListElement.insertBefore(element, nextElement);
+    }
+    nextElement = element;
+  }
+}
+
+/**
+ * Builds the overlay element of an entry, with the chat list's rendering.
+ * @param {Object} entry - A chatTimeline entry.
+ * @param {number} timeMs - The playback position to show it at.
+ * @returns {HTMLElement} The message element, registered as the entry's.
+ */
+function createOverlayElement(entry, timeMs) {
+  const element = createListEntryElement(entry, timeMs);
+  element.removeAttribute("tabindex"); // The overlay isn't interactive
+  overlayElements.set(entry, element);
+  return element;
+}
+
+// --- Library ---
+// Parsed logs are stored in IndexedDB (see chat-db.js) as the batches they were
+// parsed into, so reopening one replays them through addChatMessages like a load.
+
+/**
+ * Stores the log that just finished loading in the library, unless the same
+ * log (same first and last message and message count) is there already, and
+ * remembers its id so the playback position is kept up to date.
+ */
+async function addLoadedLogToLibrary() {
+  const state = chatLoadState;
+  const batches = state.batches;
+  state.batches = null; // Not needed once stored
+  const details = {
+    title: getLogBaseName(state.sourceName) || state.source,
+    source: state.source,
+    messageCount: chatTimeline.length,
+    firstMessageKey: getLibraryMessageKey(chatTimeline[0]),
+    lastMessageKey: getLibraryMessageKey(chatTimeline[chatTimeline.length - 1]),
+    positionMs: 0,
+  };
+  try {
+    // Compared by content, as the same file may be picked under another name
+    // and different files may share a name
+    const existing = (await listLibraryLogs()).find(
+      (log) =>
+        log.messageCount === details.messageCount &&
+        log.firstMessageKey === details.firstMessageKey &&
+        log.lastMessageKey === details.lastMessageKey
+    );
+    if (existing) {
+      await updateLibraryLog(existing.id, { lastOpenedAt: Date.now() });
+      state.libraryId = existing.id;
+    } else {
+      state.libraryId = await addLibraryLog(details, batches);
+      // Ask the browser not to clear the library when it runs low on space
+      navigator.storage?.persist?.();
+    }
+  } catch (error) {
+    console.warn("Couldn't save the chat to the library:", error);
+    libraryStatus.textContent =
+      "Couldn't save the last chat to the library; the browser's storage may be full.";
+    return;
+  }
+  renderLibrary();
+}
+
+/**
+ * Identifies a message for spotting logs already in the library.
+ * @param {Object} [entry] - A chatTimeline entry.
+ * @returns {string} Its item id, or getEntryKey() for entries without one;
+ *   "" without an entry.
+ */
+function getLibraryMessageKey(entry) {
+  if (!entry) return "";
+  return getItemRenderer(entry.item).id || getEntryKey(entry);
+}
+
+/**
+ * Shows the library's logs in the library panel.
+ */
+async function renderLibrary() {
+  let logs;
+  try {
+    logs = await listLibraryLogs();
+  } catch (error) {
+    console.warn("The library is unavailable:", error);
+    saveToLibraryToggle.disabled = true;
+    libraryStatus.textContent = "The library isn't supported in this browser.";
+    return;
+  }
+  libraryList.replaceChildren(...logs.map(createLibraryItemElement));
+  libraryStatus.textContent = logs.length ? "" : "No chats saved yet.";
+}
+
+/**
+ * Creates the library panel's entry for a log, with its open, rename and delete buttons.
+ * @param {Object} log - The log's details, see chat-db.js.
+ * @returns {HTMLLIElement} The entry.
+ */
+function createLibraryItemElement(log) {
+  const itemElement = document.createElement("li");
+  itemElement.classList.add("library-item");
+  itemElement.dataset.logId = String(log.id);
+
+  const titleElement = document.createElement("span");
+  titleElement.classList.add("library-title");
+  titleElement.textContent = log.title;
+  itemElement.appendChild(titleElement);
+
+  const detailsElement = document.createElement("span");
+  detailsElement.classList.add("library-details");
+  detailsElement.textContent = [
+    log.source,
+    `${log.messageCount} messages`,
+    `saved ${new Date(log.savedAt).toLocaleString()}`,
+    `left at ${formatTimestamp(log.positionMs || 0)}`,
+  ].join(" · ");
+  itemElement.appendChild(detailsElement);
+
+  [
+    ["open", "Open"],
+    ["rename", "Rename"],
+    ["delete", "Delete"],
+  ].forEach(([action, label]) => {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.dataset.action = action;
+    button.textContent = label;
+    itemElement.appendChild(button);
+  });
+  return itemElement;
+}
+
+/**
+ * Handles clicks on the library's open, rename and delete buttons.
+ * @param {MouseEvent} event - The click event.
+ */
+function handleLibraryClick(event) {
+  const button = event.target.closest("button[data-action]");
+  if (!button) return;
+  const itemElement = button.closest(".library-item");
+  const id = Number(itemElement.dataset.logId);
+  if (button.dataset.action === "open") {
+    openLibraryLog(id);
+  } else if (button.dataset.action === "rename") {
+    startLibraryRename(itemElement, id);
+  } else if (button.dataset.action === "delete") {
+    removeLibraryLog(itemElement, id);
+  }
+}
+
+/**
+ * Loads a log from the library and continues playback where it was left.
+ * @param {number} id - The log's id.
+ */
+async function openLibraryLog(id) {
+  const loadId = ++chatLoadCounter; // Supersedes any load still in progress
+  cancelChatParsing();
+  let log;
+  try {
+    log = await getLibraryLog(id);
+  } catch (error) {
+    console.error("Error reading the library:", error);
+  }
+  if (loadId !== chatLoadCounter) return;
+  if (!log) {
+    displayError("This chat couldn't be read from the library.");
+    renderLibrary();
+    return;
+  }
+
+  startChatLoad(getSourceName(log.source), { source: log.source, libraryId: id });
+  const statusLabel = `Opening ${log.title}`;
+  updateChatSummary(`${statusLabel}...`);
+  try {
+    for (let index = 0; index < log.batchCount; index += LIBRARY_BATCHES_PER_READ) {
+      const batches = await getLibraryLogBatches(id, index, LIBRARY_BATCHES_PER_READ);
+      if (loadId !== chatLoadCounter) return; // Cancelled by a newer load
+      batches.forEach(addChatMessages);
+      showLoadProgress(
+        {
+          receivedBytes: index + batches.length,
+          totalBytes: log.batchCount,
+          actionCount: chatLoadState.actionCount,
+        },
+        statusLabel
+      );
+    }
+  } catch (error) {
+    if (loadId !== chatLoadCounter) return;
+    console.error("Error reading chat from the library:", error);
+    displayError("Error reading the chat from the library. Check console for more details.");
+    return;
+  }
+
+  progressBar.style.display = "none";
+  // Before finishing, so a pending shared link (see finishChatLoad) wins
+  seekPlayback(log.positionMs || 0);
+  finishChatLoad();
+  try {
+    await updateLibraryLog(id, { lastOpenedAt: Date.now() });
+  } catch (error) {
+    console.warn("Couldn't update the library:", error);
+  }
+  renderLibrary();
+}
+
+/**
+ * Turns a library entry's title into a text field; Enter or leaving the field
+ * saves the new title, Escape keeps the old one.
+ * @param {HTMLLIElement} itemElement - The log's library entry.
+ * @param {number} id - The log's id.
+ */
+function startLibraryRename(itemElement, id) {
+  const titleElement = itemElement.querySelector(".library-title");
+  if (!titleElement) return; // Already renaming
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = titleElement.textContent;
+  input.setAttribute("aria-label", "Title");
+
+  let finished = false;
+  const finish = async (save) => {
+    if (finished) return; // Enter, then the blur caused by re-rendering
+    finished = true;
+    const title = input.value.trim();
+    if (save && title && title !== titleElement.textContent) {
+      try {
+        await updateLibraryLog(id, { title });
+      } catch (error) {
+        console.warn("Couldn't rename the chat:", error);
+      }
+    }
+    renderLibrary();
+  };
+  input.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") finish(true);
+    if (event.key === "Escape") finish(false);
+  });
+  input.addEventListener("blur", () => finish(true));
+  titleElement.replaceWith(input);
+  input.focus();
+  input.select();
+}
+
+/**
+ * Deletes a log from the library, after asking the user.
+ * The chat stays loaded if it is the one being viewed.
+ * @param {HTMLLIElement} itemElement - The log's library entry.
+ * @param {number} id - The log's id.
+ */
+async function removeLibraryLog(itemElement, id) {
+  const title = itemElement.querySelector(".library-title")?.textContent || "this chat";
+  if (!confirm(`Delete "${title}" from the library?`)) return;
+  if (chatLoadState?.libraryId === id) {
+    chatLoadState.libraryId = null;
+  }
+  try {
+    await deleteLibraryLog(id);
+  } catch (error) {
+    console.warn("Couldn't delete the chat:", error);
+  }
+  renderLibrary();
+}
+
+/**
+ * Saves the playback position of the viewed library log a little later,
+ * unless a save is already pending.
+ */
+function scheduleLibraryPositionSave() {
+  if (libraryPositionTimeoutId !== null) return;
+  if (chatLoadState?.libraryId == null || chatLoadState.loading) return;
+  libraryPositionTimeoutId = setTimeout(saveLibraryPosition, LIBRARY_POSITION_SAVE_MS);
+}
+
+/**
+ * Saves the playback position of the viewed library log right away.
+ */
+function saveLibraryPosition() {
+  clearTimeout(libraryPositionTimeoutId);
+  libraryPositionTimeoutId = null;
+  // While reopening, the position is still at the start, not where it was left
+  if (chatLoadState?.libraryId == null || chatLoadState.loading) return;
+  updateLibraryLog(chatLoadState.libraryId, {
+    positionMs: Math.round(getPlaybackTimeMs()),
+  }).catch((error) => console.warn("Couldn't save the playback position:", error));
+}
+
+// --- Offline Images ---
+// Avatars, badges, emojis and stickers are YouTube URLs, which stop working
+// offline or when YouTube removes them. Saved copies are used instead when present.
+
+/**
+ * Sets an image's source, using the saved copy of the URL if there is one.
+ * @param {HTMLImageElement} img - The image element.
+ * @param {string} url - The image's original URL.
+ */
+function setImageSource(img, url) {
+  if (!savedImageUrls.has(url)) {
+    img.src = url;
+    return;
+  }
+  let source = savedImageSources.get(url);
+  if (!source) {
+    source = getSavedImage(url)
+      .then((blob) => (blob ? URL.createObjectURL(blob) : url))
+      .catch(() => url);
+    savedImageSources.set(url, source);
+  }
+  // Already read copies resolve before the next paint, so they don't flicker
+  source.then((sourceUrl) => {
+    img.src = sourceUrl;
+  });
+}
+
+/**
+ * Reads which images are saved, so rendering can use them. Runs once at startup.
+ */
+async function loadSavedImageUrls() {
+  try {
+    savedImageUrls = await getSavedImageUrls();
+  } catch (error) {
+    console.warn("Saved images are unavailable:", error);
+    saveImagesButton.disabled = true;
+    clearImagesButton.disabled = true;
+    offlineImagesStatus.textContent = "Saving images isn't supported in this browser.";
+    return;
+  }
+  // Messages rendered meanwhile used the YouTube URLs; re-render them with the copies
+  if (savedImageUrls.size > 0) {
+    refreshRenderedEntries();
+  }
+  updateOfflineImagesStatus();
+}
+
+/**
+ * Shows how many images are saved next to the offline image buttons.
+ */
+function updateOfflineImagesStatus() {
+  offlineImagesStatus.textContent = savedImageUrls.size
+    ? `${savedImageUrls.size} images saved in this browser.`
+    : "";
+  clearImagesButton.disabled = savedImageUrls.size === 0;
+}
+
+/**
+ * Collects the URLs of every image the loaded log displays: avatars, badges,
+ * emojis, stickers and gift images.
+ * @returns {Set<string>} The image URLs.
+ */
+function collectLogImageUrls() {
+  const urls = new Set();
+  const addUrl = (url) => {
+    if (/^https?:/.test(url || "")) urls.add(url);
+  };
+  const addRunImages = (textObject) =>
+    (textObject?.runs || []).forEach((run) => addUrl(run.emoji?.image?.thumbnails?.[0]?.url));
+
+  chatTimeline.forEach((entry) => {
+    const renderer = getItemRenderer(entry.banner ? entry.banner.contents : entry.item);
+    addUrl(renderer.authorPhoto?.thumbnails?.[0]?.url);
+    (renderer.authorBadges || []).forEach((badgeItem) =>
+      addUrl(badgeItem?.liveChatAuthorBadgeRenderer?.customThumbnail?.thumbnails?.[0]?.url)
+    );
+    [
+      renderer.message,
+      renderer.headerPrimaryText,
+      renderer.primaryText,
+      renderer.text,
+      renderer.subtext,
+      entry.banner?.header?.liveChatBannerHeaderRenderer?.text,
+    ].forEach(addRunImages);
+    addUrl(getLargestThumbnailUrl(renderer.sticker));
+    addUrl(getLargestThumbnailUrl(renderer.image));
+  });
+  return urls;
+}
+
+/**
+ * Downloads every image of the loaded log that isn't saved yet and saves it
+ * in the browser, showing progress next to the button.
+ * Images whose server doesn't allow reading them from this page (CORS) are skipped.
+ */
+async function saveLogImages() {
+  const pendingUrls = Array.from(collectLogImageUrls()).filter(
+    (url) => !savedImageUrls.has(url)
+  );
+  if (pendingUrls.length === 0) {
+    offlineImagesStatus.textContent = "All images of this chat are already saved.";
+    return;
+  }
+
+  saveImagesButton.disabled = true;
+  const total = pendingUrls.length;
+  let savedCount = 0;
+  let failedCount = 0;
+  const showProgress = () => {
+    offlineImagesStatus.textContent = `Saving images... ${savedCount + failedCount} / ${total}`;
+  };
+  showProgress();
+
+  const saveNext = async () => {
+    while (pendingUrls.length > 0) {
+      const url = pendingUrls.pop();
+      try {
+        const response = await fetch(url, { mode: "cors", credentials: "omit" });
+        if (!response.ok) {
+          throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        await saveImage(url, await response.blob());
+        savedImageUrls.add(url);
+        savedCount++;
+      } catch (error) {
+        console.warn(`Couldn't save image ${url}:`, error);
+        failedCount++;
+      }
+      showProgress();
+    }
+  };
+  await Promise.all(Array.from({ length: IMAGE_SAVE_CONCURRENCY }, saveNext));
+
+  saveImagesButton.disabled = false;
+  updateOfflineImagesStatus();
+  offlineImagesStatus.textContent =
+    `Saved ${savedCount} of ${total} images.` +
+    (failedCount > 0 ? ` ${failedCount} couldn't be downloaded (offline, removed, or not allowed by the server).` : "") +
+    ` ${savedImageUrls.size} images saved in this browser.`;
+}
+
+/**
+ * Deletes all saved images; rendering goes back to the YouTube URLs.
+ */
+async function removeSavedImages() {
+  try {
+    await clearSavedImages();
+  } catch (error) {
+    console.error("Error removing saved images:", error);
+    offlineImagesStatus.textContent = "Couldn't remove the saved images.";
+    return;
+  }
+  const sources = Array.from(savedImageSources.values());
+  savedImageUrls = new Set();
+  savedImageSources = new Map();
+  refreshRenderedEntries();
+  updateOfflineImagesStatus();
+  // Revoke only after re-rendering, so no displayed image loses its source
+  (await Promise.all(sources))
+    .filter((sourceUrl) => sourceUrl.startsWith("blob:"))
+    .forEach((sourceUrl) => URL.revokeObjectURL(sourceUrl));
+}
+
+// --- Analytics Panel ---
+
+/**
+ * Recomputes the analytics of the listed messages, if the analytics panel is open.
+ * Computing them goes over the whole log, so it's only done when they are shown.
+ */
+function updateAnalyticsPanel() {
+  if (!analyticsPanel.open) return;
+  renderChatAnalytics(computeChatAnalytics(listEntries), analyticsContent, {
+    onSeek: seekPlayback,
+    onAuthorSelect: (channelId) => openAuthorPanel(channelId, { focus: true }),
+  });
+}
+
+// --- Diagnostics Panel ---
+
+/**
+ * Lists the log's unreadable entries and the names of the item renderers and
+ * actions it skipped, if the diagnostics panel is open.
+ */
+function updateDiagnosticsPanel() {
+  if (!diagnosticsPanel.open) return;
+  const state = chatLoadState;
+  const addElement = (parent, tagName, text) => {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  };
+  diagnosticsContent.replaceChildren();
+
+  // --- Unreadable entries ---
+  addElement(diagnosticsContent, "h3", "Unreadable entries");
+  if (state.skippedUnreadableCount === 0) {
+    addElement(diagnosticsContent, "p", "None, every entry could be read.");
+  } else {
+    const list = addElement(diagnosticsContent, "ul", "");
+    list.classList.add("diagnostics-list");
+    state.problems.forEach(({ source, line, reason }) =>
+      addElement(list, "li", `${source ? `${source}, ` : ""}line ${line}: ${reason}`)
+    );
+    const unlistedCount = state.skippedUnreadableCount - state.problems.length;
+    if (unlistedCount > 0) {
+      addElement(diagnosticsContent, "p", `...and ${unlistedCount} more.`);
+    }
+  }
+
+  // --- Skipped types, most frequent first ---
+  [
+    ["Unhandled item types", state.unhandledItemTypes],
+    ["Unhandled action types", state.unhandledActionTypes],
+  ].forEach(([title, counts]) => {
+    addElement(diagnosticsContent, "h3", title);
+    if (counts.size === 0) {
+      addElement(diagnosticsContent, "p", "None.");
+      return;
+    }
+    const list = addElement(diagnosticsContent, "ul", "");
+    list.classList.add("diagnostics-list");
+    Array.from(counts)
+      .sort((a, b) => b[1] - a[1])
+      .forEach(([name, count]) => {
+        const listItem = addElement(list, "li", "");
+        addElement(listItem, "code", name);
+        listItem.appendChild(document.createTextNode(` ${count}`));
+      });
+  });
+}
+
+// --- Keyboard ---
+
+/**
+ * Handles the page's keyboard shortcuts (listed in the "Keyboard shortcuts"
+ * panel). Keys typed into form fields, or with Ctrl/Alt/Meta, are left alone.
+ * @param {KeyboardEvent} event - The keydown event.
+ */
+function handleShortcutKey(event) {
+  if (event.defaultPrevented || event.ctrlKey || event.altKey || event.metaKey) return;
+  const target = event.target;
+  if (event.key === "Escape" && !authorPanel.hidden) {
+    closeAuthorPanel({ restoreFocus: true });
+    return;
+  }
+  if (target.closest("input, textarea, select, video, [contenteditable]")) return;
+
+  const isLoaded = Boolean(chatListElement) && !playbackControls.hidden;
+  const inChatList = Boolean(chatListElement?.contains(target));
+  // Letter keys work with Caps Lock or Shift too; named keys ("ArrowLeft") stay as they are
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  let handled = true;
+  switch (key) {
+    case " ":
+      // Buttons and links act on Space themselves
+      if (!isLoaded || target.closest("button, summary, a")) return;
+      togglePlayback();
+      break;
+    case "k":
+      if (!isLoaded) return;
+      togglePlayback();
+      break;
+    case "ArrowLeft":
+    case "ArrowRight":
+    case "j":
+    case "l": {
+      if (!isLoaded) return;
+      const stepMs = key.startsWith("Arrow") ? SHORTCUT_SEEK_MS : SHORTCUT_LONG_SEEK_MS;
+      const direction = key === "ArrowLeft" || key === "j" ? -1 : 1;
+      seekPlayback(getPlaybackTimeMs() + direction * stepMs);
+      break;
+    }
+    case "n":
+    case "p":
+      if (!isLoaded) return;
+      moveMessageFocus(key === "n" ? 1 : -1);
+      break;
+    case "ArrowDown":
+    case "ArrowUp":
+      // Elsewhere the arrows scroll the page as usual
+      if (!inChatList) return;
+      moveMessageFocus(key === "ArrowDown" ? 1 : -1);
+      break;
+    case "Home":
+    case "End":
+      if (!inChatList || visibleCount === 0) return;
+      focusListEntry(listEntries[key === "Home" ? 0 : visibleCount - 1]);
+      break;
+    case "Enter": {
+      const channelId = inChatList
+        ? target.querySelector(".author-name[data-channel-id]")?.dataset.channelId
+        : undefined;
+      if (!channelId) return;
+      openAuthorPanel(channelId, { focus: true });
+      break;
+    }
+    case "/":
+      if (searchBar.hidden) return;
+      searchInput.focus();
+      searchInput.select();
+      break;
+    case "?":
+      shortcutsPanel.open = !shortcutsPanel.open;
+      if (shortcutsPanel.open) shortcutsPanel.querySelector("summary").focus();
+      break;
+    default:
+      handled = false;
+  }
+  if (handled) event.preventDefault();
+}
+
+/**
+ * Selects the next or previous listed message and focuses it. Starts from the
+ * newest listed message; stepping past it moves the replay on to the next one.
+ * @param {number} step - 1 for the next message, -1 for the previous one.
+ */
+function moveMessageFocus(step) {
+  const currentIndex = focusedEntry ? findListIndex(focusedEntry) : -1;
+  const direction = currentIndex < 0 ? -1 : step;
+  let index = currentIndex < 0 ? visibleCount - 1 : currentIndex + step;
+  // Hidden deleted messages can't take focus; focusing a message ahead moves the replay to it
+  const isSkipped = (entry) => isEntryHidden(entry, Math.max(getPlaybackTimeMs(), entry.offsetMs));
+  while (index >= 0 && index < listEntries.length && isSkipped(listEntries[index])) {
+    index += direction;
+  }
+  if (index >= 0 && index < listEntries.length) {
+    focusListEntry(listEntries[index]);
+  }
+}
+
+/**
+ * Scrolls to a listed entry (moving the replay on if it isn't reached yet) and
+ * focuses its message.
+ * @param {Object} entry - A listEntries entry.
+ */
+function focusListEntry(entry) {
+  focusedEntry = entry;
+  jumpToEntry(entry);
+  renderedElements.get(entry)?.focus({ preventScroll: true });
+}
+
+/**
+ * Keeps track of the message focused in the chat (e.g. by clicking it), so
+ * moveMessageFocus() continues from there.
+ * @param {FocusEvent} event - The focusin event.
+ */
+function handleChatFocus(event) {
+  const entry = Array.from(renderedElements).find(
+    ([, element]) => element === event.target
+  )?.[0];
+  if (entry) focusedEntry = entry;
+}
+
+// --- Author Panel ---
+
+/**
+ * Opens the author panel when an author's name is clicked in the chat, and
+ * copies a link to a message when its timestamp is clicked.
+ * @param {MouseEvent} event - The click event.
+ */
+function handleChatClick(event) {
+  const nameElement = event.target.closest(".author-name[data-channel-id]");
+  if (nameElement) {
+    openAuthorPanel(nameElement.dataset.channelId, { focus: true });
+  }
+  const timeElement = event.target.closest(".chat-list .timestamp");
+  if (timeElement) {
+    const entry = Array.from(renderedElements).find(([, element]) =>
+      element.contains(timeElement)
+    )?.[0];
+    // Banners aren't indexed by id, so their links only carry the time
+    if (entry) copyDeepLink(entry.offsetMs, entry.item ? getItemRenderer(entry.item).id : "");
+  }
+}
+
+/**
+ * Jumps the chat to a message clicked in the author panel.
+ * @param {MouseEvent} event - The click event.
+ */
+function handleAuthorPanelClick(event) {
+  const messageElement = event.target.closest(".author-panel-messages > .chat-message");
+  const entry = messageElement && authorPanelEntries.get(messageElement);
+  if (entry) {
+    jumpToEntry(entry);
+  }
+}
+
+/**
+ * Shows an author's messages, badges and statistics in the author panel.
+ * Authors are identified by channel ID, since display names can change mid-stream.
+ * @param {string} channelId - The author's `authorExternalChannelId`.
+ * @param {Object} [options]
+ * @param {boolean} [options.focus=false] - Move focus to the panel, when the
+ *   user opened it; it returns where it was when the panel is closed.
+ */
+function openAuthorPanel(channelId, { focus = false } = {}) {
+  const entries = chatLoadState?.entriesByAuthor.get(channelId) || [];
+  if (entries.length === 0) return;
+  if (focus && authorPanel.hidden) {
+    authorPanelOpener = document.activeElement;
+  }
+  authorPanelState = { channelId, entries, shownCount: 0 };
+
+  const stats = getAuthorStats(entries);
+  const latestRenderer = getItemRenderer(entries[entries.length - 1].item);
+  authorPanelPhoto.onerror = () => {
+    authorPanelPhoto.onerror = null;
+    authorPanelPhoto.src = "placeholder.png";
+  };
+  // The same thumbnail as in the chat, so a saved copy is found
+  setImageSource(
+    authorPanelPhoto,
+    latestRenderer.authorPhoto?.thumbnails?.[0]?.url || "placeholder.png"
+  );
+  authorPanelName.textContent =
+    latestRenderer.authorName?.simpleText || "[unknown author]";
+  // Authors imported from Twitch link to their Twitch channel, see chat-importers.js
+  authorPanelName.href =
+    latestRenderer.authorUrl ||
+    `https://www.youtube.com/channel/${encodeURIComponent(channelId)}`;
+  authorPanelBadges.replaceChildren(
+    ...Array.from(stats.badges, (tooltip) => {
+      const badgeSpan = document.createElement("span");
+      badgeSpan.textContent = tooltip;
+      return badgeSpan;
+    })
+  );
+
+  const statRows = [
+    ["Messages", String(stats.messageCount)],
+    ["First seen", formatOffsetTimestamp(stats.firstMs)],
+    ["Last seen", formatOffsetTimestamp(stats.lastMs)],
+  ];
+  if (stats.deletedCount > 0) {
+    statRows.push(["Deleted", String(stats.deletedCount)]);
+  }
+  if (stats.spending.size > 0) {
+    statRows.push(["Super Chat spend", formatSpendingTotals(stats.spending)]);
+  }
+  statRows.push(["Channel ID", channelId]);
+  authorPanelStats.replaceChildren(
+    ...statRows.flatMap(([term, value]) => {
+      const termElement = document.createElement("dt");
+      termElement.textContent = term;
+      const valueElement = document.createElement("dd");
+      valueElement.textContent = value;
+      return [termElement, valueElement];
+    })
+  );
+
+  authorPanelMessages.replaceChildren();
+  authorPanelEntries = new WeakMap();
+  showMoreAuthorMessages();
+  authorPanel.hidden = false;
+  authorPanel.scrollTop = 0;
+  if (focus) {
+    authorPanelName.focus();
+  }
+}
+
+/**
+ * Renders the next page of the author's messages in the author panel.
+ * Prolific chatters can have thousands of messages, so they aren't all rendered at once.
+ */
+function showMoreAuthorMessages() {
+  if (!authorPanelState) return;
+  const { entries, shownCount } = authorPanelState;
+  const nextCount = Math.min(shownCount + AUTHOR_PANEL_PAGE_SIZE, entries.length);
+  const fragment = document.createDocumentFragment();
+  for (let i = shownCount; i < nextCount; i++) {
+    const element = createEntryElement(entries[i]);
+    element.tabIndex = 0; // Enter jumps to it in the chat
+    authorPanelEntries.set(element, entries[i]);
+    fragment.appendChild(element);
+  }
+  authorPanelMessages.appendChild(fragment);
+  authorPanelState.shownCount = nextCount;
+  authorPanelMoreButton.hidden = nextCount >= entries.length;
+  authorPanelMoreButton.textContent = `Show more (${entries.length - nextCount} left)`;
+}
+
+/**
+ * Closes the author panel.
+ * @param {Object} [options]
+ * @param {boolean} [options.restoreFocus=false] - Return focus to where it was
+ *   before the panel opened (or to the chat), when the user closed it.
+ */
+function closeAuthorPanel({ restoreFocus = false } = {}) {
+  if (restoreFocus && !authorPanel.hidden) {
+    (authorPanelOpener?.isConnected ? authorPanelOpener : chatListElement)?.focus();
+  }
+  authorPanelOpener = null;
+  authorPanel.hidden = true;
+  authorPanelState = null;
+  authorPanelMessages.replaceChildren();
+  authorPanelEntries = new WeakMap();
+}
+
+/**
+ * Computes an author's statistics from their messages.
+ * @param {Array<Object>} entries - The author's timeline entries.
+ * @returns {{messageCount: number, deletedCount: number, firstMs: number,
+ *   lastMs: number, spending: Map<string, number>, badges: Set<string>}}
+ *   `spending` maps currency symbols to the summed Super Chat / Sticker amounts,
+ *   `badges` holds the tooltips of every badge the author showed.
+ */
+function getAuthorStats(entries) {
+  const stats = {
+    messageCount: entries.length,
+    deletedCount: 0,
+    firstMs: Infinity,
+    lastMs: -Infinity,
+    spending: new Map(),
+    badges: new Set(),
+  };
+  entries.forEach((entry) => {
+    const renderer = getItemRenderer(entry.item);
+    if (entry.deletedState) stats.deletedCount++;
+    stats.firstMs = Math.min(stats.firstMs, entry.offsetMs);
+    stats.lastMs = Math.max(stats.lastMs, entry.offsetMs);
+    (renderer.authorBadges || []).forEach((badgeItem) => {
+      const tooltip = badgeItem?.liveChatAuthorBadgeRenderer?.tooltip;
+      if (tooltip) stats.badges.add(tooltip);
+    });
+    const purchase = parsePurchaseAmount(renderer.purchaseAmountText?.simpleText);
+    if (purchase) {
+      stats.spending.set(
+        purchase.currency,
+        (stats.spending.get(purchase.currency) || 0) + purchase.amount
+      );
+    }
+  });
+  return stats;
+}
+
+/**
+ * Parses a Super Chat amount as YouTube displays it, e.g. "$5.00", "CA$10.00",
+ * "¥1,000" or "1.000,00 €".
+ * @param {string|undefined} text - The `purchaseAmountText` text.
+ * @returns {{currency: string, amount: number}|null} The currency symbol (or
+ *   code) and the amount, or null if the text has no number.
+ */
+function parsePurchaseAmount(text) {
+  const number = text?.match(/\d[\d.,\s\u00a0]*/)?.[0].trim();
+  if (!number) return null;
+  const currency = text.replace(number, "").trim();
+  // The last separator is a decimal point if 1 or 2 digits follow it
+  const decimalMatch = number.match(/[.,](\d{1,2})$/);
+  const integerDigits = (decimalMatch ? number.slice(0, -decimalMatch[0].length) : number)
+    .replace(/\D/g, "");
+  const amount = Number(integerDigits) + (decimalMatch ? Number(`0.${decimalMatch[1]}`) : 0);
+  return { currency, amount };
+}
+
+/**
+ * Formats summed amounts per currency, e.g. "$25.00, ¥3,000".
+ * @param {Map<string, number>} totals - Amounts by currency symbol.
+ * @returns {string} The formatted totals.
+ */
+function formatSpendingTotals(totals) {
+  return Array.from(totals, ([currency, amount]) => {
+    const formatted = amount.toLocaleString(undefined, {
+      minimumFractionDigits: Number.isInteger(amount) ? 0 : 2,
+      maximumFractionDigits: 2,
+    });
+    // Codes like "PHP" need a space; symbols like "$" don't
+    return /[a-z]$/i.test(currency) ? `${currency} ${formatted}` : `${currency}${formatted}`;
+  }).join(", ");
+}
+
+// --- Filters ---
+
+/**
+ * Author roles by the `icon.iconType` of their badge. Badges without an icon
+ * type are matched by tooltip instead (e.g. "Moderator").
+ */
+const AUTHOR_ROLES_BY_ICON_TYPE = {
+  OWNER: "owner",
+  MODERATOR: "moderator",
+  VERIFIED: "verified",
+};
+
+/**
+ * Reads the filter settings from the filter panel (and the "Show deleted
+ * messages" toggle).
+ * @returns {{showDeleted: boolean, types: Set<string>|null, roles: Array<string>,
+ *   author: string, fromMs: number, toMs: number}} The filters. `types` is null
+ *   when every type is checked; unset time bounds are -Infinity and Infinity.
+ */
+function readChatFilters() {
+  const checkedValues = (name) =>
+    Array.from(filterPanel.querySelectorAll(`input[name="${name}"]:checked`)).map(
+      (input) => input.value
+    );
+  const typeCount = filterPanel.querySelectorAll('input[name="messageType"]').length;
+  const types = checkedValues("messageType");
+  const readTime = (input, fallback) => {
+    const timeMs = input.value.trim() ? parseTimestamp(input.value) : fallback;
+    input.setCustomValidity(isNaN(timeMs) ? "Use a time like 1:23:45, 12:34 or 90." : "");
+    return isNaN(timeMs) ? fallback : timeMs;
+  };
+
+  return {
+    showDeleted: showDeletedToggle.checked,
+    types: types.length === typeCount ? null : new Set(types),
+    roles: checkedValues("authorRole"),
+    author: authorFilterInput.value.trim().toLowerCase(),
+    fromMs: readTime(filterFromInput, -Infinity),
+    toMs: readTime(filterToInput, Infinity),
+  };
+}
+
+/**
+ * Whether any filter hides entries, i.e. listEntries can differ from chatTimeline.
+ * @returns {boolean}
+ */
+function hasActiveFilters() {
+  const filters = chatFilters;
+  return (
+    filters.types !== null ||
+    filters.roles.length > 0 ||
+    filters.author !== "" ||
+    filters.fromMs > -Infinity ||
+    filters.toMs < Infinity
+  );
+}
+
+/**
+ * Applies the settings of the filter panel to the list.
+ */
+function applyChatFilters() {
+  clearTimeout(filterTimeoutId);
+  chatFilters = readChatFilters();
+  filterPanel.querySelectorAll("input:invalid").forEach((input) => input.reportValidity());
+  rebuildChatList();
+  if (chatLoadState && !chatLoadState.loading) {
+    updateChatSummary();
+    updateAnalyticsPanel();
+  }
+}
+
+/**
+ * Resets every filter (except the deleted messages toggle) and lists all messages again.
+ */
+function resetChatFilters() {
+  filterPanel.querySelectorAll('input[name="messageType"]').forEach((input) => {
+    input.checked = true;
+  });
+  filterPanel.querySelectorAll('input[name="authorRole"]').forEach((input) => {
+    input.checked = false;
+  });
+  authorFilterInput.value = "";
+  filterFromInput.value = "";
+  filterToInput.value = "";
+  applyChatFilters();
+}
+
+/**
+ * Whether a timeline entry passes the current filters.
+ * @param {Object} entry - A chatTimeline entry.
+ * @returns {boolean}
+ */
+function isEntryListed(entry) {
+  const filters = chatFilters;
+  if (entry.offsetMs < filters.fromMs || entry.offsetMs > filters.toMs) return false;
+  if (filters.types && !filters.types.has(getEntryType(entry))) return false;
+
+  if (filters.roles.length === 0 && !filters.author) return true;
+  // Banners are filtered by the author of the message they pin
+  const renderer = getItemRenderer(entry.banner ? entry.banner.contents : entry.item);
+  if (filters.roles.length > 0) {
+    const roles = getAuthorRoles(renderer);
+    if (!filters.roles.some((role) => roles.has(role))) return false;
+  }
+  if (filters.author) {
+    const channelId = (renderer.authorExternalChannelId || "").toLowerCase();
+    const name = (renderer.authorName?.simpleText || "").toLowerCase();
+    if (channelId !== filters.author && !name.includes(filters.author)) return false;
+  }
+  return true;
+}
+
+/**
+ * Gets the filter panel's message type of a timeline entry.
+ * @param {Object} entry - A chatTimeline entry.
+ * @returns {string} The type, e.g. "superChat", or "other" for unknown renderers.
+ */
+function getEntryType(entry) {
+  if (entry.banner) return "banner"; // Banners are their own type
+  const rendererName = entry.item && getDisplayedRendererName(entry.item);
+  return rendererName ? DISPLAYED_ITEM_RENDERERS[rendererName].messageType : "other";
+}
+
+/**
+ * Gets the renderer holding a chat item's author and text. For gift purchases
+ * that is the header, as in createChatItemElement.
+ * @param {Object|undefined} item - A chat item, e.g. `{liveChatTextMessageRenderer: {...}}`.
+ * @returns {Object} The renderer data, or an empty object.
+ */
+function getItemRenderer(item) {
+  if (!item) return {};
+  const giftPurchaseRenderer = item.liveChatSponsorshipsGiftPurchaseAnnouncementRenderer;
+  if (giftPurchaseRenderer) {
+    return giftPurchaseRenderer.header?.liveChatSponsorshipsHeaderRenderer || {};
+  }
+  return Object.values(item)[0] || {};
+}
+
+/**
+ * Gets the roles shown by an author's badges.
+ * @param {Object} renderer - The chat item renderer, with `authorBadges`.
+ * @returns {Set<string>} Any of "member", "moderator", "owner" and "verified".
+ */
+function getAuthorRoles(renderer) {
+  const roles = new Set();
+  (renderer.authorBadges || []).forEach((badgeItem) => {
+    const badgeRenderer = badgeItem?.liveChatAuthorBadgeRenderer;
+    if (!badgeRenderer) return;
+    const role =
+      AUTHOR_ROLES_BY_ICON_TYPE[badgeRenderer.icon?.iconType] ||
+      AUTHOR_ROLES_BY_ICON_TYPE[(badgeRenderer.tooltip || "").toUpperCase()];
+    if (role) {
+      roles.add(role);
+    } else if (
+      badgeRenderer.customThumbnail ||
+      /member|subscriber/i.test(badgeRenderer.tooltip || "")
+    ) {
+      // Membership badges are the channel's own images ("Member (6 months)");
+      // Twitch subscriptions count as memberships
+      roles.add("member");
+    }
+  });
+  return roles;
+}
+
+// --- Search ---
+// Searching goes over the entries' data rather than the DOM, since only the
+// messages in view are rendered. Matches are highlighted as elements are created.
+
+/**
+ * Normalizes text for case-insensitive matching.
+ * @param {string} text - The text to normalize.
+ * @returns {string} The trimmed, lowercased text.
+ */
+function normalizeSearchText(text) {
+  return text.trim().toLowerCase();
+}
+
+/**
+ * Gets the searchable text of a YouTube text object (`simpleText` or `runs`),
+ * including the shortcuts and names of emojis.
+ * @param {Object|undefined} textObject - E.g. a renderer's `message`.
+ * @returns {string} The text, or an empty string.
+ */
+function getTextObjectSearchText(textObject) {
+  if (!textObject) return "";
+  if (textObject.simpleText) return textObject.simpleText;
+  return (textObject.runs || [])
+    .map((run) => {
+      if (run.text) return run.text;
+      const shortcuts = run.emoji?.shortcuts || [];
+      const label = run.emoji?.accessibility?.accessibilityData?.label || "";
+      return ` ${shortcuts.join(" ")} ${label} `;
+    })
+    .join("");
+}
+
+/**
+ * Gets the searchable text of a chat item: its author's name and the text of
+ * every field createChatItemElement displays.
+ * @param {Object|undefined} item - A chat item, e.g. `{liveChatTextMessageRenderer: {...}}`.
+ * @returns {string} The text, or an empty string.
+ */
+function getItemSearchText(item) {
+  if (!item) return "";
+  const renderer = getItemRenderer(item);
+  return [
+    renderer.authorName,
+    renderer.headerPrimaryText,
+    renderer.headerSubtext,
+    renderer.primaryText,
+    renderer.message,
+    renderer.text,
+    renderer.subtext,
+  ]
+    .map(getTextObjectSearchText)
+    .join("\n");
+}
+
+/**
+ * Gets the lowercased searchable text of a timeline entry, cached on the entry.
+ * @param {Object} entry - A chatTimeline entry.
+ * @returns {string} The text.
+ */
+function getEntrySearchText(entry) {
+  if (entry.searchText === undefined) {
+    const text = entry.banner
+      ? getTextObjectSearchText(entry.banner.header?.liveChatBannerHeaderRenderer?.text) +
+        "\n" +
+        getItemSearchText(entry.banner.contents)
+      : getItemSearchText(entry.item);
+    entry.searchText = text.toLowerCase();
+  }
+  return entry.searchText;
+}
+
+/**
+ * Runs the search typed in the search box over the list, keeping the selected
+ * hit if it still matches, and re-renders the list with the new highlights.
+ */
+function updateSearchResults() {
+  clearTimeout(searchTimeoutId);
+  const currentHit = searchHits[searchHitIndex];
+  searchQuery = normalizeSearchText(searchInput.value);
+  searchHits = searchQuery
+    ? listEntries.filter((entry) => getEntrySearchText(entry).includes(searchQuery))
+    : [];
+  searchHitIndex = currentHit ? searchHits.indexOf(currentHit) : -1;
+  updateSearchCount();
+  refreshRenderedEntries();
+}
+
+/**
+ * Adds the entries matching the current search to its hits, for entries
+ * appended to the list while a log is loading.
+ * @param {Array<Object>} newEntries - Entries appended to listEntries.
+ */
+function addSearchHits(newEntries) {
+  if (!searchQuery) return;
+  const previousCount = searchHits.length;
+  newEntries.forEach((entry) => {
+    if (getEntrySearchText(entry).includes(searchQuery)) {
+      searchHits.push(entry);
+    }
+  });
+  if (searchHits.length !== previousCount) updateSearchCount();
+}
+
+/**
+ * Shows the number of hits (and which one is selected) next to the search box.
+ */
+function updateSearchCount() {
+  if (!searchQuery) {
+    searchCountLabel.textContent = "";
+  } else if (searchHits.length === 0) {
+    searchCountLabel.textContent = "No matches";
+  } else if (searchHitIndex < 0) {
+    searchCountLabel.textContent = `${searchHits.length} matches`;
+  } else {
+    searchCountLabel.textContent = `${searchHitIndex + 1} of ${searchHits.length}`;
+  }
+  searchPrevButton.disabled = searchHits.length === 0;
+  searchNextButton.disabled = searchHits.length === 0;
+}
+
+/**
+ * Selects the next or previous search hit (wrapping around) and scrolls to it,
+ * seeking playback forward first if the hit isn't listed yet.
+ * @param {number} step - 1 for the next hit, -1 for the previous one.
+ */
+function goToSearchHit(step) {
+  if (searchHits.length === 0) return;
+  if (searchHitIndex < 0) {
+    searchHitIndex = step > 0 ? 0 : searchHits.length - 1;
+  } else {
+    searchHitIndex = (searchHitIndex + step + searchHits.length) % searchHits.length;
+  }
+  updateSearchCount();
+
+  const hit = searchHits[searchHitIndex];
+  renderedElements.forEach((element, entry) =>
+    element.classList.toggle("search-current", entry === hit)
+  );
+  jumpToEntry(hit);
+}
+
+/**
+ * Scrolls the list to an entry, seeking playback forward first if the entry
+ * isn't listed yet. Does nothing for entries hidden by the filters.
+ * @param {Object} entry - A chatTimeline entry.
+ */
+function jumpToEntry(entry) {
+  if (entry.offsetMs > getPlaybackTimeMs()) {
+    seekPlayback(entry.offsetMs);
+    // A video only reports the new position once seeking starts; list the entry now
+    syncChatToTime(entry.offsetMs);
+  }
+  scrollToListEntry(findListIndex(entry), { center: true });
+}
+
+/**
+ * Finds the index of an entry in listEntries.
+ * @param {Object} entry - A chatTimeline entry.
+ * @returns {number} The index, or -1 if the entry isn't in the list.
+ */
+function findListIndex(entry) {
+  // Entries are sorted by offset, so only those sharing its offset need checking
+  for (let i = countEntriesUpTo(listEntries, entry.offsetMs) - 1; i >= 0; i--) {
+    if (listEntries[i] === entry) return i;
+    if (listEntries[i].offsetMs !== entry.offsetMs) break;
+  }
+  return -1;
+}
+
+/**
+ * Recreates the rendered messages, e.g. to apply new search highlights.
+ */
+function refreshRenderedEntries() {
+  if (!chatListElement) return;
+  chatWindowElement.replaceChildren();
+  renderedElements = new Map();
+  renderedRange = { start: 0, end: 0 };
+  renderChatWindow();
+}
+
+/**
+ * Wraps the parts of a message's text matching the current search in `<mark>`
+ * elements, and outlines matching emojis.
+ * @param {HTMLElement} messageElement - The message element to highlight in.
+ */
+function highlightSearchMatches(messageElement) {
+  const containers = messageElement.querySelectorAll(
+    ".author-name, .message-body, .system-subtext"
+  );
+  containers.forEach((container) => {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    textNodes.forEach(highlightTextNode);
+
+    container.querySelectorAll("img.chat-emoji").forEach((img) => {
+      const emojiText = `${img.alt} ${img.dataset.shortcuts || ""}`.toLowerCase();
+      if (emojiText.includes(searchQuery)) {
+        img.classList.add("search-highlight");
+      }
+    });
+  });
+}
+
+/**
+ * Splits a text node around the matches of the current search, wrapping each
+ * match in a `<mark>`.
+ * @param {Text} textNode - The text node to highlight in.
+ */
+function highlightTextNode(textNode) {
+  const text = textNode.data;
+  const lowerText = text.toLowerCase();
+  // Lowercasing can change the length of some characters, which would misplace the marks
+  if (lowerText.length !== text.length) return;
+
+  let matchIndex = lowerText.indexOf(searchQuery);
+  if (matchIndex < 0) return;
+  const fragment = document.createDocumentFragment();
+  let position = 0;
+  while (matchIndex >= 0) {
+    fragment.appendChild(document.createTextNode(text.slice(position, matchIndex)));
+    const mark = document.createElement("mark");
+    mark.classList.add("search-highlight");
+    mark.textContent = text.slice(matchIndex, matchIndex + searchQuery.length);
+    fragment.appendChild(mark);
+    position = matchIndex + searchQuery.length;
+    matchIndex = lowerText.indexOf(searchQuery, position);
+  }
+  fragment.appendChild(document.createTextNode(text.slice(position)));
+  textNode.replaceWith(fragment);
 }